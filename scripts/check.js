@@ -0,0 +1,188 @@
+// scripts/check.js
+// Quick checks of the engine without a browser: npm test
+import assert from 'node:assert/strict';
+import { RegexEngine } from '../src/js/regex-engine.js';
+import { RegexSyntaxError, walkAst } from '../src/js/regex-parser.js';
+import { Replacement } from '../src/js/replacement.js';
+import { ReDoSAnalyzer } from '../src/js/redos-analyzer.js';
+import { normalizeEntry } from '../src/js/workspace-file.js';
+import { encodePermalink, decodePermalink } from '../src/js/permalink.js';
+
+const engine = new RegexEngine();
+const checks = [];
+
+function check(name, fn) {
+    checks.push({ name, fn });
+}
+
+// Source of the translated JavaScript regex, or the error message
+function translate(pattern, flavor, flags = '') {
+    try {
+        return engine.createRegex(pattern, flags, flavor).source;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+function nodeTypes(pattern, flavor, flags = '') {
+    const types = [];
+    walkAst(engine.parse(pattern, flavor, flags), node => types.push(node.type));
+    return types;
+}
+
+function spans(pattern, flavor, flags, testString, text) {
+    const start = pattern.indexOf(text);
+    return engine.findSpanMatches(pattern, flags, testString, flavor, start, start + text.length);
+}
+
+// Parser
+
+check('parser: node types and offsets', () => {
+    assert.deepEqual(nodeTypes('a(b|c)+', 'javascript'),
+        ['Regex', 'Sequence', 'Character', 'Quantifier', 'Group', 'Alternation', 'Sequence', 'Character', 'Sequence', 'Character']);
+
+    const ast = engine.parse('x(?<year>\\d{4})', 'javascript', '');
+    let group = null;
+    walkAst(ast, node => {
+        if (node.type === 'Group') group = node;
+    });
+    assert.equal(group.kind, 'named');
+    assert.equal(group.name, 'year');
+    assert.deepEqual([group.start, group.end], [1, 15]);
+});
+
+check('parser: syntax errors carry the offset', () => {
+    assert.throws(() => engine.parse('ab(c', 'javascript', ''), error => error instanceof RegexSyntaxError && error.offset === 2);
+    assert.throws(() => engine.parse('a)', 'javascript', ''), /Unmatched closing parenthesis/);
+});
+
+check('parser: octal escapes inside classes', () => {
+    assert.equal(translate('[\\12]', 'pcre'), '[\\n]');
+    assert.equal(translate('[\\1]', 'python'), '[\\x01]');
+});
+
+// Translators
+
+check('pcre: possessive quantifiers and \\A', () => {
+    assert.ok(engine.createRegex('\\Aa++b', '', 'pcre').test('aab'));
+    assert.ok(!engine.createRegex('a++a', '', 'pcre').test('aaa'));
+});
+
+check('python: named groups and flag errors', () => {
+    const [match] = engine.findMatches(engine.createRegex('(?P<x>a)b(?P=x)', '', 'python'), 'zaba', false);
+    assert.equal(match.index, 1);
+    assert.equal(match.groups.x, 'a');
+    assert.match(translate('(?<x>a)', 'python'), /unknown extension/);
+});
+
+check('golang: modifier groups are emulated', () => {
+    const regex = engine.createRegex('(?i:abc)d', '', 'golang');
+    assert.ok(regex.test('AbCd'));
+    assert.ok(!regex.test('abcD'));
+});
+
+check('golang: escapes follow RE2 in and outside classes', () => {
+    const accepted = ['\\12', '[\\12]', '[\\-a]', '\\_', '[\\_]', '[\\a]', '[\\x41-\\x{5A}]', '[\\pL]', '[\\0]', '\\123'];
+    accepted.forEach(pattern => assert.doesNotMatch(translate(pattern, 'golang'), /error parsing regexp/, pattern));
+
+    const rejected = {
+        '\\1': '\\1',
+        '[\\1]': '\\1',
+        '[\\18]': '\\1',
+        '[\\b]': '\\b',
+        '[\\Q]': '\\Q',
+        '\\e': '\\e',
+        '[\\e]': '\\e',
+        '[\\u0041]': '\\u',
+        '\\Z': '\\Z'
+    };
+    Object.entries(rejected).forEach(([pattern, escape]) => {
+        assert.equal(translate(pattern, 'golang'), `error parsing regexp: invalid escape sequence: \`${escape}\``, pattern);
+    });
+});
+
+// Replacement
+
+check('replacement: flavor syntax', () => {
+    const match = Object.assign(['ab', 'a', 'b'], { index: 1 });
+    const expand = (source, flavor) => new Replacement(source, flavor, 2, [undefined, 'x']).expand(match, 'zabz');
+
+    assert.equal(expand('$2$1', 'javascript'), 'ba');
+    assert.equal(expand('\\2\\g<1>', 'python'), 'ba');
+    assert.equal(expand('\\U$1\\E${2}', 'pcre'), 'Ab');
+    assert.equal(expand('$x-$$', 'golang'), 'a-$');
+    assert.equal(expand('$`|$\'', 'javascript'), 'z|z');
+    assert.throws(() => expand('$3', 'golang'));
+});
+
+check('replacement: substitute applies every match', () => {
+    assert.equal(engine.substitute('(\\w)(\\d)', 'g', 'a1 b2', '$2$1', 'javascript').output, '1a 2b');
+});
+
+// ReDoS
+
+check('redos: textbook patterns are flagged', () => {
+    const analyzer = new ReDoSAnalyzer(engine);
+    const vulnerable = ['^(a+)+$', '^(\\d{1,3})+$', '^(a|aa)+$', '^(a|ab|b)*c$', '(a|a)*$', '^(\\w+\\s?)*$'];
+    vulnerable.forEach(pattern => assert.equal(analyzer.analyze(pattern, '', 'javascript', false).severity, 'high', pattern));
+});
+
+check('redos: safe patterns are not flagged', () => {
+    const analyzer = new ReDoSAnalyzer(engine);
+    const safe = ['^(a|ab)*c$', '(\\d{1,3}\\.)+x', '^(ab?)+$', '^\\d+$', '^[a-z]+(-[a-z]+)*$'];
+    safe.forEach(pattern => assert.equal(analyzer.analyze(pattern, '', 'javascript', false).severity, 'none', pattern));
+    assert.equal(analyzer.analyze('^(a+)+$', '', 'golang').severity, 'none');
+});
+
+// Workspace and permalinks
+
+check('workspace: entries are sanitized', () => {
+    const entry = normalizeEntry({
+        flavor: 'constructor',
+        flags: 'gzg',
+        tests: [null, { id: '"><img src=x>', expect: 'bogus', input: 5 }]
+    }, []);
+
+    assert.equal(entry.flavor, 'javascript');
+    assert.equal(entry.flags, 'g');
+    assert.deepEqual(entry.tests, [{ id: 1, expect: 'match', input: '5', expected: '' }]);
+});
+
+check('permalink: decoded state is sanitized', async () => {
+    const hash = await encodePermalink({ regex: 'a+', flavor: 'nope', tests: [{ id: 'x"', expect: 'match' }] });
+    const state = await decodePermalink(hash);
+
+    assert.equal(state.regex, 'a+');
+    assert.equal(state.flavor, 'javascript');
+    assert.equal(state.tests[0].id, 1);
+    assert.equal(await decodePermalink('#other'), null);
+});
+
+// Span matches, see RegexApp.highlightPatternSpan
+
+check('spans: relative and absolute backreferences', () => {
+    assert.deepEqual(spans('(a)(b)\\g{-1}', 'pcre', 'g', 'abb', '\\g{-1}'), [[2, 3]]);
+    assert.deepEqual(spans('(a)(b)\\g{-2}', 'pcre', 'g', 'aba', '(b)'), [[1, 2]]);
+    assert.deepEqual(spans('(a)(b)\\2', 'javascript', 'g', 'abb', '(a)'), [[0, 1]]);
+    assert.deepEqual(spans('(a)(b)\\2', 'javascript', 'g', 'abb', '\\2'), [[2, 3]]);
+});
+
+check('spans: explicit capture and existing group names', () => {
+    assert.deepEqual(spans('(a)(b)c', 'xregexp', 'gn', 'abc', 'c'), [[2, 3]]);
+    assert.deepEqual(spans('(?<span>a)b', 'javascript', 'g', 'abab', 'b'), [[1, 2], [3, 4]]);
+    assert.deepEqual(spans('(?P<x>a)b(?P=x)', 'python', 'g', 'aba', 'b'), [[1, 2]]);
+});
+
+let failed = 0;
+for (const { name, fn } of checks) {
+    try {
+        await fn();
+        console.log(`ok   ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`FAIL ${name}\n     ${error.message.split('\n').join('\n     ')}`);
+    }
+}
+
+console.log(`\n${checks.length - failed} of ${checks.length} checks passed`);
+process.exitCode = failed ? 1 : 0;
@@ -1,13 +1,136 @@
 // src/js/app.js
-import { setupMonacoEnvironment, createEditor, monaco } from './monaco-setup.js';
-import { RegexEngine } from './regex-engine.js';
+import { setupMonacoEnvironment, createEditor, createRegexEditor, createDiffEditor, monaco } from './monaco-setup.js';
+import { regexLanguageId, registerRegexAssist } from './regex-language.js';
+import { RegexEngine, FLAVOR_FLAGS } from './regex-engine.js';
+import { RegexSyntaxError, getSyntaxErrorHint } from './regex-parser.js';
+import { RegexRunner, RegexCancelledError, RegexTimeoutError, DEFAULT_TIMEOUT } from './regex-runner.js';
+import { ReDoSAnalyzer, formatAttack, buildAttackString } from './redos-analyzer.js';
+import { RegexDebugger, MAX_STEPS } from './regex-debugger.js';
+import { CodeGenerator, CODE_LANGUAGES } from './code-generator.js';
+import { PatternLibrary, parseTags } from './pattern-library.js';
+import { encodePermalink, decodePermalink, MAX_PERMALINK_LENGTH } from './permalink.js';
+import { createWorkspaceFile, parseWorkspaceFile } from './workspace-file.js';
+
+const REDOS_SEVERITY_LABELS = {
+    none: 'Kein Risiko erkannt',
+    low: 'Niedrig',
+    medium: 'Mittel',
+    high: 'Hoch'
+};
+
+const DEBUG_STEP_LABELS = {
+    attempt: 'Versuch',
+    match: 'Passt',
+    fail: 'Fehlschlag',
+    backtrack: 'Backtrack',
+    success: 'Match'
+};
+
+// Replacement syntax per flavor, see Replacement
+const SUBSTITUTION_PLACEHOLDERS = {
+    javascript: 'Ersetzungstext... ($1, $<name>, $&)',
+    xregexp: 'Ersetzungstext... ($1, ${name}, $&)',
+    python: 'Ersetzungstext... (\\1, \\g<name>, \\U...\\E)',
+    pcre: 'Ersetzungstext... ($1, \\1, ${name}, \\U...\\E)',
+    golang: 'Ersetzungstext... ($1, ${1}, ${name})'
+};
+
+// Split semantics per flavor (see RegexEngine.split), the limit input is named
+// like the parameter and groups that did not participate are shown as unset
+const SPLIT_FUNCTIONS = {
+    javascript: { call: 'string.split(regex, limit)', limit: 'limit', unset: 'undefined' },
+    xregexp: { call: 'XRegExp.split(string, regex, limit)', limit: 'limit', unset: 'undefined' },
+    python: { call: 're.split(pattern, string, maxsplit)', limit: 'maxsplit', unset: 'None' },
+    pcre: { call: 'preg_split($pattern, $subject, $limit, PREG_SPLIT_DELIM_CAPTURE)', limit: 'limit', unset: '' },
+    golang: { call: 're.Split(s, n)', limit: 'n', unset: '' }
+};
+
+const TEST_TYPES = {
+    match: 'Muss matchen',
+    noMatch: 'Darf nicht matchen',
+    groups: 'Gruppen',
+    substitution: 'Ersetzung'
+};
+
+const TEST_EXPECTED_PLACEHOLDERS = {
+    groups: 'Eine Gruppe pro Zeile, z.B.\n1=2024\nyear=2024',
+    substitution: 'Erwartetes Ergebnis der Ersetzung'
+};
+
+// Group colors repeat after this many groups, see .regex-group-N in styles.css
+const GROUP_COLOR_COUNT = 8;
+
+// Large test files: the match list is paged, and above MAX_MATCH_DECORATIONS
+// only the matches around the visible lines of the test editor are decorated
+const MATCH_PAGE_SIZE = 100;
+const MAX_MATCH_DECORATIONS = 5000;
+const DECORATION_MARGIN_LINES = 20;
+// Rows shown in the replacement and split lists
+const MAX_LIST_ITEMS = 1000;
+const MAX_TEST_FILE_SIZE = 50 * 1024 * 1024;
+
+// The pattern editor grows with its content up to this height, then it scrolls
+const REGEX_EDITOR_MAX_HEIGHT = 240;
+
+// Greyed out while the pattern has a syntax error, see showPatternError()
+const STALE_RESULT_ELEMENTS = ['matches-tab', 'details-tab', 'substitution-tab', 'list-tab', 'split-tab', 'explain-tab', 'test-string-editor', 'group-legend'];
+
+// Steps shown around the current one, the full trace can have MAX_STEPS entries
+const DEBUG_LIST_CONTEXT = 15;
+const DEBUG_PLAYBACK_INTERVAL = 150;
 
 class RegexApp {
     constructor() {
         this.testStringEditor = null;
+        this.regexEditor = null;
+        this.regexMultiline = false;
+        this.patternDecorations = [];
         this.regexEngine = new RegexEngine();
+        // Matching runs in a worker, see RegexRunner
+        this.regexRunner = new RegexRunner();
+        // Tests get their own worker so that they do not cancel the matching
+        this.testRunner = new RegexRunner(DEFAULT_TIMEOUT, 'runTests');
+        this.tests = [];
+        this.nextTestId = 1;
+        // The ReDoS check runs the pattern too, see RegexEngine.analyzeReDoS
+        this.redosRunner = new RegexRunner(DEFAULT_TIMEOUT, 'analyzeReDoS');
+        this.redosAnalyzer = new ReDoSAnalyzer(this.regexEngine);
+        this.redosIssues = [];
+        // Matches of a hovered pattern span, see highlightPatternSpan
+        this.spanRunner = new RegexRunner(DEFAULT_TIMEOUT, 'matchSpan');
+        // Spans marked in the pattern input: hover from explanation/ReDoS list, ReDoS findings, debugger token
+        this.hoveredSpan = null;
+        this.regexDebugger = new RegexDebugger(this.regexEngine);
+        this.debugSession = null;
+        this.debugStep = 0;
+        this.debugStale = true;
+        this.debugTimer = null;
+        this.debugSpan = null;
+        this.debugDecorations = [];
         this.currentMatches = [];
+        this.currentGroupNames = [];
+        // Result shown in the match list and its current page, see renderMatchPage()
+        this.matchResult = { matches: [], groupNames: [] };
+        this.matchPage = 0;
+        this.currentLines = null;
+        this.decorationFrame = null;
+        this.codeGenerator = new CodeGenerator(this.regexEngine);
+        this.codeStale = true;
+        this.generatedCode = '';
+        this.library = new PatternLibrary();
+        // Library entry that was opened last, "Speichern" overwrites it
+        this.libraryEntryId = null;
+        // Created when the substitution tab is first shown
+        this.diffEditor = null;
+        this.substitutionTexts = { original: '', modified: '' };
+        // Created when the list tab is first shown
+        this.listEditor = null;
+        this.listOutput = '';
         this.currentDecorations = [];
+        // Gutter icons of the per-line mode
+        this.lineDecorations = [];
+        this.nodeDecorations = [];
+        this.hoveredExplanationNode = null;
         this.init();
     }
 
@@ -19,6 +142,10 @@ class RegexApp {
             await setupMonacoEnvironment();
             console.log('Monaco environment setup complete');
 
+            // Initialize Regex Editor
+            this.initRegexEditor();
+            console.log('Regex editor initialized');
+
             // Initialize Test String Editor
             await this.initTestStringEditor();
             console.log('Test string editor initialized');
@@ -28,9 +155,12 @@ class RegexApp {
 
             // Initial UI State
             this.updateUI();
+            this.renderTests();
 
-            // Load saved data if exists
-            this.loadSavedState();
+            // A shared link wins over the locally saved state
+            if (!(await this.loadPermalink())) {
+                this.loadSavedState();
+            }
 
             console.log('App initialization complete');
         } catch (error) {
@@ -38,6 +168,104 @@ class RegexApp {
         }
     }
 
+    initRegexEditor() {
+        const container = document.getElementById('regex-editor');
+        if (!container) {
+            console.error('Regex editor container not found!');
+            return;
+        }
+
+        this.regexEditor = createRegexEditor(container, {
+            language: regexLanguageId(document.getElementById('regex-flavor').value)
+        });
+
+        if (!this.regexEditor) {
+            console.error('Failed to create regex editor');
+            this.initFallbackRegexInput();
+            return;
+        }
+
+        // Escape, property and group name completion plus explanations on hover
+        registerRegexAssist(monaco, {
+            engine: this.regexEngine,
+            getFlags: () => document.getElementById('regex-flags').value
+        });
+
+        // Single-line mode: Enter does nothing, see toggleRegexMultiline()
+        this.regexMultilineKey = this.regexEditor.createContextKey('regexMultiline', false);
+        this.regexEditor.addCommand(monaco.KeyCode.Enter, () => {}, '!regexMultiline && !suggestWidgetVisible');
+
+        this.regexEditor.onDidChangeModelContent(() => {
+            container.classList.toggle('empty', this.getPattern() === '');
+            this.processRegex();
+        });
+        this.regexEditor.onDidContentSizeChange(() => this.updateRegexEditorHeight());
+
+        // Clicking a token or moving the cursor over it scrolls the explanation tree to it
+        this.regexEditor.onDidChangeCursorPosition((e) => {
+            if (e.reason === monaco.editor.CursorChangeReason.Explicit) {
+                this.revealExplanationFor(this.regexEditor.getModel().getOffsetAt(e.position));
+            }
+        });
+
+        container.classList.add('empty');
+        this.updateRegexEditorHeight();
+    }
+
+    initFallbackRegexInput() {
+        const container = document.getElementById('regex-editor');
+        container.innerHTML = '<input type="text" class="regex-fallback-input" autocomplete="off" spellcheck="false">';
+
+        const input = container.querySelector('input');
+        input.placeholder = container.dataset.placeholder;
+        input.addEventListener('input', () => this.processRegex());
+        input.addEventListener('click', () => this.revealExplanationFor(input.selectionStart));
+
+        // Store reference for getValue compatibility
+        this.regexEditor = {
+            getValue: () => input.value,
+            setValue: (val) => { input.value = val; }
+        };
+    }
+
+    getPattern() {
+        return this.regexEditor ? this.regexEditor.getValue() : '';
+    }
+
+    setPattern(pattern) {
+        if (this.regexEditor && this.getPattern() !== pattern) {
+            this.regexEditor.setValue(pattern);
+        }
+    }
+
+    updateRegexEditorHeight() {
+        if (!this.regexEditor || !this.regexEditor.getContentHeight) return;
+
+        // Plus the 1px border on both sides
+        const container = document.getElementById('regex-editor');
+        const height = Math.min(this.regexEditor.getContentHeight(), REGEX_EDITOR_MAX_HEIGHT) + 2;
+        if (container.offsetHeight !== height) {
+            container.style.height = `${height}px`;
+            this.regexEditor.layout();
+        }
+    }
+
+    // Multi-line mode lets Enter insert line breaks and wraps long lines, e.g. for x-flag patterns
+    toggleRegexMultiline() {
+        if (!this.regexEditor || !this.regexEditor.updateOptions) return;
+
+        this.regexMultiline = !this.regexMultiline;
+        this.regexMultilineKey.set(this.regexMultiline);
+        this.regexEditor.updateOptions({ wordWrap: this.regexMultiline ? 'on' : 'off' });
+
+        const button = document.getElementById('regex-multiline');
+        button.classList.toggle('active', this.regexMultiline);
+        button.querySelector('i').className = `fas ${this.regexMultiline ? 'fa-compress' : 'fa-expand'}`;
+        document.getElementById('regex-editor').classList.toggle('multiline', this.regexMultiline);
+
+        this.regexEditor.focus();
+    }
+
     async initTestStringEditor() {
         const container = document.getElementById('test-string-editor');
 
@@ -69,6 +297,21 @@ class RegexApp {
             this.processRegex();
         });
 
+        // Large results only decorate the visible part, see renderMatchDecorations()
+        this.testStringEditor.onDidScrollChange((e) => {
+            if (!e.scrollTopChanged || !this.hasWindowedDecorations()) return;
+
+            cancelAnimationFrame(this.decorationFrame);
+            this.decorationFrame = requestAnimationFrame(() => {
+                this.renderMatchDecorations();
+                this.renderLineDecorations();
+            });
+        });
+
+        monaco.languages.registerHoverProvider('plaintext', {
+            provideHover: (model, position) => this.provideMatchHover(model, position)
+        });
+
         // Update cursor position
         this.testStringEditor.onDidChangeCursorPosition((e) => {
             document.getElementById('cursor-position').textContent =
@@ -99,22 +342,99 @@ How vexingly quick daft zebras jump!</textarea>
         };
     }
 
+    // Captured before Monaco sees the drop, it would insert the file name
+    attachTestFileDrop() {
+        const container = document.getElementById('test-string-editor');
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+        container.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            container.classList.add('drop-target');
+        }, true);
+
+        container.addEventListener('dragleave', (e) => {
+            if (!container.contains(e.relatedTarget)) {
+                container.classList.remove('drop-target');
+            }
+        }, true);
+
+        container.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            container.classList.remove('drop-target');
+
+            if (e.dataTransfer.files[0]) {
+                this.loadTestFile(e.dataTransfer.files[0]);
+            }
+        }, true);
+    }
+
+    // The file is read in the browser, nothing is uploaded
+    async loadTestFile(file) {
+        if (file.size > MAX_TEST_FILE_SIZE) {
+            this.setStatus(`${file.name} ist zu groß (höchstens ${MAX_TEST_FILE_SIZE / 1024 / 1024} MB)`, 'error');
+            return;
+        }
+
+        try {
+            const text = await file.text();
+            this.testStringEditor.setValue(text);
+            if (!this.testStringEditor.getModel) {
+                // The fallback textarea does not report the change itself
+                this.processRegex();
+            }
+            this.setStatus(`${file.name} geladen (${(file.size / 1024).toFixed(0)} KB)`, 'success');
+        } catch (error) {
+            this.setStatus(`Datei konnte nicht gelesen werden: ${error.message}`, 'error');
+        }
+    }
+
     attachEventListeners() {
-        // Regex Input
-        const regexInput = document.getElementById('regex-input');
+        // Regex Input (the editor listens itself, see initRegexEditor)
         const regexFlags = document.getElementById('regex-flags');
+        const multilineBtn = document.getElementById('regex-multiline');
 
-        if (regexInput) {
-            regexInput.addEventListener('input', () => this.processRegex());
+        if (multilineBtn) {
+            multilineBtn.addEventListener('click', () => this.toggleRegexMultiline());
         }
         if (regexFlags) {
             regexFlags.addEventListener('input', () => this.updateFlagsAndProcess());
         }
 
-        // Flag Checkboxes
-        document.querySelectorAll('.flag-option input').forEach(checkbox => {
-            checkbox.addEventListener('change', () => this.updateFlagsFromCheckboxes());
-        });
+        // Flag Checkboxes (re-rendered per flavor, so delegated)
+        const flagsContainer = document.getElementById('flags-container');
+        if (flagsContainer) {
+            this.renderFlagOptions(document.getElementById('regex-flavor').value);
+            flagsContainer.addEventListener('change', (e) => {
+                if (e.target.matches('.flag-option input')) {
+                    this.updateFlagsFromCheckboxes();
+                }
+            });
+        }
+
+        // Explanation Tree
+        this.attachExplanationListeners();
+
+        // ReDoS Report
+        this.attachReDoSListeners();
+
+        // Debugger
+        this.attachDebuggerListeners();
+
+        // Substitution Diff
+        this.attachSubstitutionListeners();
+
+        // Tests
+        this.attachTestListeners();
+
+        // Code Generator
+        this.attachCodeListeners();
+
+        // Pattern Library
+        this.attachLibraryListeners();
 
         // Tabs
         document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -131,6 +451,13 @@ How vexingly quick daft zebras jump!</textarea>
             themeToggle.addEventListener('click', () => this.toggleTheme());
         }
 
+        // Permalink
+        const shareBtn = document.getElementById('share-btn');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', () => this.sharePermalink());
+        }
+        window.addEventListener('hashchange', () => this.loadPermalink());
+
         // Settings button
         const settingsBtn = document.getElementById('settings-btn');
         if (settingsBtn) {
@@ -139,6 +466,41 @@ How vexingly quick daft zebras jump!</textarea>
             });
         }
 
+        // Per-line mode: every line of the test string is a subject of its own
+        document.getElementById('per-line-mode').addEventListener('change', () => {
+            this.updatePerLineMode();
+            this.processRegex();
+        });
+
+        // Local test files, opened or dropped onto the editor
+        const fileInput = document.getElementById('test-file-input');
+        document.getElementById('open-test-file').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) {
+                this.loadTestFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+        this.attachTestFileDrop();
+
+        // Paged match list, one listener for all items
+        document.getElementById('matches-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.match-item');
+            if (!item) return;
+
+            const index = Number(item.dataset.index);
+            this.showMatchDetails(this.matchResult.matches[index], index, this.matchResult.groupNames);
+        });
+        document.getElementById('matches-pager').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-page]');
+            if (!button) return;
+
+            const pageCount = Math.ceil(this.matchResult.matches.length / MATCH_PAGE_SIZE);
+            const pages = { first: 0, prev: this.matchPage - 1, next: this.matchPage + 1, last: pageCount - 1 };
+            this.matchPage = Math.max(0, Math.min(pageCount - 1, pages[button.dataset.page]));
+            this.renderMatchPage();
+        });
+
         // Clear Test String
         const clearBtn = document.getElementById('clear-test');
         if (clearBtn) {
@@ -160,18 +522,28 @@ How vexingly quick daft zebras jump!</textarea>
                 if (container) {
                     container.style.display = e.target.checked ? 'block' : 'none';
                 }
-                if (e.target.checked) {
-                    this.processRegex();
-                }
+                this.processRegex();
             });
         }
 
+        // Substitution Mode: replace in the text, list the template per match or split
+        document.getElementById('substitution-mode').addEventListener('change', () => {
+            this.updateSubstitutionMode();
+            this.processRegex();
+        });
+
+        document.getElementById('split-limit').addEventListener('input', () => this.processRegex());
+
         // Substitution Input
         const substInput = document.getElementById('substitution-input');
         if (substInput) {
             substInput.addEventListener('input', () => {
                 if (document.getElementById('enable-substitution').checked) {
                     this.processRegex();
+                } else {
+                    // Tests and generated code use the replacement even while the preview is off
+                    this.runTests();
+                    this.invalidateCode();
                 }
             });
         }
@@ -179,7 +551,27 @@ How vexingly quick daft zebras jump!</textarea>
         // Regex Flavor
         const flavorSelect = document.getElementById('regex-flavor');
         if (flavorSelect) {
-            flavorSelect.addEventListener('change', () => this.processRegex());
+            flavorSelect.addEventListener('change', () => {
+                this.renderFlagOptions(flavorSelect.value);
+                this.processRegex();
+            });
+        }
+
+        // Execution Timeout
+        const timeoutInput = document.getElementById('execution-timeout');
+        if (timeoutInput) {
+            timeoutInput.addEventListener('change', () => {
+                const timeout = parseInt(timeoutInput.value, 10);
+                if (!(timeout > 0)) {
+                    timeoutInput.value = this.regexRunner.timeout;
+                    return;
+                }
+                this.regexRunner.timeout = timeout;
+                this.testRunner.timeout = timeout;
+                this.spanRunner.timeout = timeout;
+                localStorage.setItem('executionTimeout', timeout);
+                this.processRegex();
+            });
         }
 
         // Keyboard Shortcuts
@@ -191,6 +583,31 @@ How vexingly quick daft zebras jump!</textarea>
         });
     }
 
+    // Shows the flags of the given flavor and drops those it does not know
+    renderFlagOptions(flavor) {
+        const container = document.getElementById('flags-container');
+        const flagsInput = document.getElementById('regex-flags');
+        const options = FLAVOR_FLAGS[flavor] || FLAVOR_FLAGS.javascript;
+        const available = options.map(option => option.flag);
+
+        flagsInput.value = flagsInput.value.split('').filter(flag => available.includes(flag)).join('');
+
+        container.innerHTML = options.map(option => `
+            <label class="flag-option"${option.title ? ` title="${option.title}"` : ''}>
+                <input type="checkbox" id="flag-${option.flag}" data-flag="${option.flag}"${flagsInput.value.includes(option.flag) ? ' checked' : ''}>
+                <span>${option.label} (${option.flag})</span>
+            </label>
+        `).join('');
+
+        document.getElementById('substitution-input').placeholder = SUBSTITUTION_PLACEHOLDERS[flavor] || SUBSTITUTION_PLACEHOLDERS.javascript;
+        document.getElementById('split-limit').placeholder = `${(SPLIT_FUNCTIONS[flavor] || SPLIT_FUNCTIONS.javascript).limit} (leer = ohne Begrenzung)`;
+
+        // Highlighting follows the flavor syntax
+        if (this.regexEditor && this.regexEditor.getModel) {
+            monaco.editor.setModelLanguage(this.regexEditor.getModel(), regexLanguageId(flavor));
+        }
+    }
+
     updateFlagsFromCheckboxes() {
         const flags = [];
         document.querySelectorAll('.flag-option input:checked').forEach(checkbox => {
@@ -211,63 +628,270 @@ How vexingly quick daft zebras jump!</textarea>
         this.processRegex();
     }
 
-    processRegex() {
-        const pattern = document.getElementById('regex-input').value;
+    async processRegex() {
+        const pattern = this.getPattern();
         const flags = document.getElementById('regex-flags').value;
         const testString = this.testStringEditor ? this.testStringEditor.getValue() : '';
         const flavor = document.getElementById('regex-flavor').value;
 
+        this.invalidateDebugger();
+        this.invalidateCode();
+        this.runTests();
+
         if (!pattern) {
+            this.regexRunner.cancel();
+            this.clearPatternError();
             this.clearResults();
+            this.generateReDoSReport('', flags, flavor);
             return;
         }
 
-        const startTime = performance.now();
+        // Own worker, so the report is also shown when the run itself times out
+        this.generateReDoSReport(pattern, flags, flavor);
+
+        const enabled = document.getElementById('enable-substitution').checked;
+        const mode = document.getElementById('substitution-mode').value;
+        const template = document.getElementById('substitution-input').value;
+        const substitution = enabled && mode === 'replace' ? template : null;
+        const list = enabled && mode === 'list' ? template : null;
+        const split = enabled && mode === 'split' ? { limit: this.getSplitLimit() } : null;
+        const perLine = document.getElementById('per-line-mode').checked;
 
         try {
-            const result = this.regexEngine.execute(pattern, flags, testString, flavor);
+            const result = await this.regexRunner.run({ pattern, flags, testString, flavor, substitution, list, split, perLine });
+            const executionTime = result.executionTime.toFixed(2);
 
-            if (document.getElementById('enable-substitution').checked) {
-                const substitution = document.getElementById('substitution-input').value;
-                result.substitution = this.regexEngine.substitute(pattern, flags, testString, substitution);
+            this.clearPatternError();
+            this.displayResults(result, executionTime);
+            this.displaySubstitution(result);
+            this.displayList(result);
+            this.displaySplit(result);
+            this.highlightMatches(result.matches, result.groupNames);
+            this.displayLineResults(result.lines);
+            this.generateExplanation(pattern, flags, flavor);
+
+            if (result.lines) {
+                const matched = result.lines.filter(line => line.matched).length;
+                this.setStatus(`${matched} von ${result.lines.length} Zeilen passen`, 'success');
+            } else {
+                this.setStatus(`${result.matches.length} Treffer gefunden`, 'success');
             }
 
-            const executionTime = (performance.now() - startTime).toFixed(2);
+        } catch (error) {
+            // A newer run has taken over
+            if (error instanceof RegexCancelledError) return;
 
-            this.displayResults(result, executionTime);
-            this.highlightMatches(result.matches);
-            this.generateExplanation(pattern, flags);
+            this.setStatus(`Fehler: ${error.message}`, 'error');
 
-            this.setStatus(`${result.matches.length} Treffer gefunden`, 'success');
+            // The last valid results stay visible, greyed out, until the pattern is fixed
+            if (error instanceof RegexSyntaxError) {
+                this.showPatternError(error);
+            } else {
+                this.clearPatternError();
+                this.clearResults();
+            }
+        }
+    }
 
-        } catch (error) {
-            this.setStatus(`Fehler: ${error.message}`, 'error');
-            this.clearResults();
+    // Squiggle at the error offset plus the panel below the pattern input
+    showPatternError(error) {
+        const panel = document.getElementById('regex-error');
+        const position = error.offset !== null
+            ? `<button type="button" class="regex-error-position" title="Zur Fehlerstelle springen">Position ${error.offset}</button>`
+            : '';
+        const hint = getSyntaxErrorHint(error.message);
+
+        panel.innerHTML = `
+            <i class="fas fa-exclamation-circle"></i>
+            <div class="regex-error-body">
+                <div class="regex-error-message">${this.escapeHtml(error.message)} ${position}</div>
+                ${hint ? `<div class="regex-error-hint">${this.escapeHtml(hint)}</div>` : ''}
+            </div>
+        `;
+        panel.hidden = false;
+
+        const button = panel.querySelector('.regex-error-position');
+        if (button) {
+            button.addEventListener('click', () => this.revealPatternOffset(error.offset));
+        }
+
+        this.setPatternErrorMarker(error);
+        STALE_RESULT_ELEMENTS.forEach(id => document.getElementById(id).classList.add('results-stale'));
+    }
+
+    clearPatternError() {
+        const panel = document.getElementById('regex-error');
+        panel.hidden = true;
+        panel.innerHTML = '';
+
+        this.setPatternErrorMarker(null);
+        STALE_RESULT_ELEMENTS.forEach(id => document.getElementById(id).classList.remove('results-stale'));
+    }
+
+    // The fallback input has no model and therefore no markers
+    setPatternErrorMarker(error) {
+        const model = this.regexEditor && this.regexEditor.getModel ? this.regexEditor.getModel() : null;
+        if (!model) return;
+
+        const markers = [];
+        if (error && error.offset !== null) {
+            // Errors at the very end mark the last character
+            const start = model.getPositionAt(Math.max(0, Math.min(error.offset, model.getValueLength() - 1)));
+
+            markers.push({
+                severity: monaco.MarkerSeverity.Error,
+                message: error.message,
+                startLineNumber: start.lineNumber,
+                startColumn: start.column,
+                endLineNumber: start.lineNumber,
+                endColumn: start.column + 1
+            });
+        }
+
+        monaco.editor.setModelMarkers(model, 'regex-syntax', markers);
+    }
+
+    revealPatternOffset(offset) {
+        if (!this.regexEditor.getModel) return;
+
+        const position = this.regexEditor.getModel().getPositionAt(offset);
+        this.regexEditor.setPosition(position);
+        this.regexEditor.revealPosition(position);
+        this.regexEditor.focus();
+    }
+
+    updatePerLineMode() {
+        const perLine = document.getElementById('per-line-mode').checked;
+
+        if (this.testStringEditor && this.testStringEditor.updateOptions) {
+            this.testStringEditor.updateOptions({ glyphMargin: perLine });
+        }
+        if (!perLine) {
+            this.displayLineResults(undefined);
         }
     }
 
-    highlightMatches(matches) {
+    // Check or cross in the gutter of every line plus the summary in the header,
+    // lines is undefined outside the per-line mode
+    displayLineResults(lines) {
+        const summary = document.getElementById('line-summary');
+        summary.textContent = '';
+        summary.className = 'line-summary';
+
+        if (lines) {
+            const matched = lines.filter(line => line.matched).length;
+            summary.textContent = `${matched}/${lines.length} Zeilen passen`;
+            summary.classList.add(matched === lines.length ? 'all' : 'partial');
+        }
+
+        this.currentLines = lines || null;
+        this.renderLineDecorations();
+    }
+
+    renderLineDecorations() {
         if (!this.testStringEditor || !this.testStringEditor.deltaDecorations) return;
 
+        let lines = this.currentLines || [];
+        if (lines.length > MAX_MATCH_DECORATIONS && this.testStringEditor.getModel) {
+            const { startLine, endLine } = this.getDecorationWindow();
+            lines = lines.filter(line => line.line >= startLine && line.line <= endLine);
+        }
+
+        this.lineDecorations = this.testStringEditor.deltaDecorations(this.lineDecorations, lines.map(line => ({
+            range: new monaco.Range(line.line, 1, line.line, 1),
+            options: {
+                glyphMarginClassName: `line-result fas ${line.matched ? 'fa-check line-match' : 'fa-times line-no-match'}`,
+                glyphMarginHoverMessage: { value: line.matched ? `${line.count} Treffer` : 'Kein Treffer' }
+            }
+        })));
+    }
+
+    // Every match plus one layer per capture group, nested groups are drawn narrower
+    highlightMatches(matches, groupNames = []) {
+        this.currentMatches = matches;
+        this.currentGroupNames = groupNames;
+        this.renderGroupLegend(matches, groupNames);
+        this.renderMatchDecorations();
+    }
+
+    hasWindowedDecorations() {
+        return this.currentMatches.length > MAX_MATCH_DECORATIONS ||
+            (this.currentLines !== null && this.currentLines.length > MAX_MATCH_DECORATIONS);
+    }
+
+    // Visible lines of the test editor plus DECORATION_MARGIN_LINES around them
+    getDecorationWindow() {
+        const model = this.testStringEditor.getModel();
+        const ranges = this.testStringEditor.getVisibleRanges();
+        const first = ranges.length ? ranges[0].startLineNumber : 1;
+        const last = ranges.length ? ranges[ranges.length - 1].endLineNumber : 1;
+
+        const startLine = Math.max(1, first - DECORATION_MARGIN_LINES);
+        const endLine = Math.min(model.getLineCount(), last + DECORATION_MARGIN_LINES);
+
+        return {
+            startLine,
+            endLine,
+            start: model.getOffsetAt({ lineNumber: startLine, column: 1 }),
+            end: model.getOffsetAt({ lineNumber: endLine, column: model.getLineMaxColumn(endLine) })
+        };
+    }
+
+    // Matches are ordered by offset, so the first one in the window is found by bisection
+    getMatchesInWindow(matches) {
+        const { start, end } = this.getDecorationWindow();
+
+        let low = 0;
+        let high = matches.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (matches[mid].index + matches[mid][0].length < start) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        const visible = [];
+        for (let i = low; i < matches.length && matches[i].index <= end && visible.length < MAX_MATCH_DECORATIONS; i++) {
+            visible.push(matches[i]);
+        }
+        return visible;
+    }
+
+    renderMatchDecorations() {
+        if (!this.testStringEditor || !this.testStringEditor.getModel) return;
+
         const model = this.testStringEditor.getModel();
         if (!model) return;
 
-        const decorations = matches.map(match => {
-            const startPos = model.getPositionAt(match.index);
-            const endPos = model.getPositionAt(match.index + match[0].length);
+        const toRange = (start, end) => {
+            const startPos = model.getPositionAt(start);
+            const endPos = model.getPositionAt(end);
+            return new monaco.Range(startPos.lineNumber, startPos.column, endPos.lineNumber, endPos.column);
+        };
 
-            return {
-                range: new monaco.Range(
-                    startPos.lineNumber,
-                    startPos.column,
-                    endPos.lineNumber,
-                    endPos.column
-                ),
-                options: {
-                    className: 'regex-match-highlight',
-                    hoverMessage: { value: `Match: ${match[0]}` }
-                }
-            };
+        const matches = this.currentMatches.length > MAX_MATCH_DECORATIONS
+            ? this.getMatchesInWindow(this.currentMatches)
+            : this.currentMatches;
+
+        const decorations = [];
+        matches.forEach(match => {
+            decorations.push({
+                range: toRange(match.index, match.index + match[0].length),
+                options: { className: 'regex-match-highlight' }
+            });
+
+            const groups = this.getGroups(match, this.currentGroupNames).filter(group => group.range && group.range[0] < group.range[1]);
+            groups.forEach(group => {
+                const depth = Math.min(this.getGroupDepth(groups, group), 3);
+                decorations.push({
+                    range: toRange(group.range[0], group.range[1]),
+                    options: {
+                        className: `regex-group-highlight regex-group-${this.getGroupColor(group.index)} regex-group-depth-${depth}`
+                    }
+                });
+            });
         });
 
         this.currentDecorations = this.testStringEditor.deltaDecorations(
@@ -276,123 +900,1257 @@ How vexingly quick daft zebras jump!</textarea>
         );
     }
 
+    // Number of lower-numbered groups of the same match that enclose the group
+    getGroupDepth(groups, group) {
+        return groups.filter(other => other.index < group.index &&
+            other.range[0] <= group.range[0] && other.range[1] >= group.range[1]
+        ).length;
+    }
+
+    getGroupColor(index) {
+        return ((index - 1) % GROUP_COLOR_COUNT) + 1;
+    }
+
+    renderGroupLegend(matches, groupNames) {
+        const legend = document.getElementById('group-legend');
+        const count = matches.length > 0 ? matches[0].length - 1 : 0;
+
+        legend.innerHTML = Array.from({ length: count }, (_, i) => {
+            const group = { index: i + 1, name: groupNames[i + 1] || null };
+            return `
+                <span class="group-legend-item">
+                    <span class="group-swatch regex-group-${this.getGroupColor(group.index)}"></span>
+                    ${this.formatGroupLabel(group)}
+                </span>
+            `;
+        }).join('');
+    }
+
+    // Hover over a match lists the groups that cover the character under the mouse
+    provideMatchHover(model, position) {
+        if (!this.testStringEditor || model !== this.testStringEditor.getModel()) return null;
+
+        const offset = model.getOffsetAt(position);
+        const matchIndex = this.currentMatches.findIndex(match =>
+            match.index <= offset && offset < match.index + match[0].length
+        );
+        if (matchIndex === -1) return null;
+
+        const match = this.currentMatches[matchIndex];
+        const end = match.index + match[0].length;
+        const groups = this.getGroups(match, this.currentGroupNames).filter(group =>
+            group.range && group.range[0] <= offset && offset < group.range[1]
+        );
+
+        const contents = [{ value: `**Match ${matchIndex + 1}** [${match.index}-${end}]: ${this.escapeMarkdown(JSON.stringify(match[0]))}` }];
+        if (groups.length === 0) {
+            contents.push({ value: 'Keine Gruppe an dieser Stelle' });
+        } else {
+            contents.push({
+                value: groups.map(group => {
+                    const label = group.name ? `Group ${group.index} <${group.name}>` : `Group ${group.index}`;
+                    return `- ${this.escapeMarkdown(label)} [${group.range[0]}-${group.range[1]}]: ${this.escapeMarkdown(JSON.stringify(group.value))}`;
+                }).join('\n')
+            });
+        }
+
+        const startPos = model.getPositionAt(match.index);
+        const endPos = model.getPositionAt(end);
+        return {
+            range: new monaco.Range(startPos.lineNumber, startPos.column, endPos.lineNumber, endPos.column),
+            contents
+        };
+    }
+
     displayResults(result, executionTime) {
         document.getElementById('match-count').textContent = result.matches.length;
         document.getElementById('exec-time').textContent = executionTime;
 
+        this.matchResult = result;
+        this.matchPage = 0;
+        this.renderMatchPage();
+    }
+
+    // Only one page of matches is in the DOM, clicks are handled in attachEventListeners()
+    renderMatchPage() {
+        const { matches, groupNames } = this.matchResult;
         const matchesList = document.getElementById('matches-list');
-        matchesList.innerHTML = '';
+        const first = this.matchPage * MATCH_PAGE_SIZE;
+
+        this.renderMatchPager();
 
-        if (result.matches.length === 0) {
+        if (matches.length === 0) {
             matchesList.innerHTML = '<div class="no-matches">Keine Treffer gefunden</div>';
             return;
         }
 
-        result.matches.forEach((match, index) => {
-            const matchElement = document.createElement('div');
-            matchElement.className = 'match-item';
-            matchElement.innerHTML = `
+        matchesList.innerHTML = matches.slice(first, first + MATCH_PAGE_SIZE).map((match, i) => `
+            <div class="match-item" data-index="${first + i}">
                 <div class="match-header">
-                    <span class="match-number">Match ${index + 1}</span>
+                    <span class="match-number">Match ${first + i + 1}</span>
                     <span class="match-position">[${match.index}-${match.index + match[0].length}]</span>
                 </div>
                 <div class="match-content">
                     <code>${this.escapeHtml(match[0])}</code>
                 </div>
-                ${match.groups ? this.renderGroups(match.groups) : ''}
-            `;
-            matchesList.appendChild(matchElement);
+                ${this.renderGroups(match, groupNames)}
+            </div>
+        `).join('');
+    }
 
-            matchElement.addEventListener('click', () => this.showMatchDetails(match, index));
-        });
+    renderMatchPager() {
+        const pager = document.getElementById('matches-pager');
+        const total = this.matchResult.matches.length;
+        const pageCount = Math.ceil(total / MATCH_PAGE_SIZE);
 
-        if (result.substitution !== undefined) {
-            const substDiv = document.createElement('div');
-            substDiv.className = 'substitution-result';
-            substDiv.innerHTML = `
-                <h4><i class="fas fa-exchange-alt"></i> Substitution Result:</h4>
-                <pre>${this.escapeHtml(result.substitution)}</pre>
-            `;
-            matchesList.appendChild(substDiv);
+        pager.hidden = pageCount <= 1;
+        if (pager.hidden) {
+            pager.innerHTML = '';
+            return;
         }
-    }
 
-    renderGroups(groups) {
-        if (!groups || Object.keys(groups).length === 0) return '';
+        const first = this.matchPage * MATCH_PAGE_SIZE;
+        const atStart = this.matchPage === 0;
+        const atEnd = this.matchPage === pageCount - 1;
+        pager.innerHTML = `
+            <button class="btn-small" data-page="first" title="Erste Seite"${atStart ? ' disabled' : ''}><i class="fas fa-angle-double-left"></i></button>
+            <button class="btn-small" data-page="prev" title="Vorherige Seite"${atStart ? ' disabled' : ''}><i class="fas fa-angle-left"></i></button>
+            <span class="matches-pager-info">${first + 1}-${Math.min(first + MATCH_PAGE_SIZE, total)} von ${total} (Seite ${this.matchPage + 1}/${pageCount})</span>
+            <button class="btn-small" data-page="next" title="Nächste Seite"${atEnd ? ' disabled' : ''}><i class="fas fa-angle-right"></i></button>
+            <button class="btn-small" data-page="last" title="Letzte Seite"${atEnd ? ' disabled' : ''}><i class="fas fa-angle-double-right"></i></button>
+        `;
+    }
 
-        let html = '<div class="match-groups">';
-        for (const [key, value] of Object.entries(groups)) {
-            if (value !== undefined) {
-                html += `
-                    <div class="group-item">
-                        <span class="group-name">Group ${key}:</span>
-                        <code>${this.escapeHtml(value)}</code>
-                    </div>
-                `;
-            }
-        }
-        html += '</div>';
-        return html;
+    // Long lists only show their first MAX_LIST_ITEMS rows
+    renderListOverflow(count) {
+        return count > MAX_LIST_ITEMS
+            ? `<div class="no-matches">... und ${count - MAX_LIST_ITEMS} weitere</div>`
+            : '';
     }
 
-    generateExplanation(pattern, flags) {
-        const explanationDiv = document.getElementById('regex-explanation');
+    // Diff of test string and output plus a "before → after" row per replaced match
+    displaySubstitution(result) {
+        const summary = document.getElementById('substitution-summary');
+        const list = document.getElementById('replacement-list');
 
-        try {
-            const explanation = this.regexEngine.explain(pattern, flags);
-            explanationDiv.innerHTML = explanation;
-        } catch (error) {
-            explanationDiv.innerHTML = `<div class="error">Erklärung konnte nicht generiert werden: ${error.message}</div>`;
+        if (result.substitutionError !== undefined) {
+            summary.innerHTML = `<span class="substitution-error">Fehler in der Ersetzung: ${this.escapeHtml(result.substitutionError)}</span>`;
+            list.innerHTML = '';
+            this.updateSubstitutionDiff(result.testString, result.testString);
+            return;
         }
-    }
 
-    showMatchDetails(match, index) {
-        this.switchTab('details');
+        if (result.substitution === undefined) {
+            summary.textContent = 'Ersetzung ist deaktiviert';
+            list.innerHTML = '';
+            this.updateSubstitutionDiff('', '');
+            return;
+        }
 
-        const detailsDiv = document.getElementById('match-details');
-        let html = `
-            <h3>Match ${index + 1} Details</h3>
-            <div class="detail-item">
-                <strong>Full Match:</strong>
-                <code>${this.escapeHtml(match[0])}</code>
-            </div>
-            <div class="detail-item">
-                <strong>Position:</strong>
-                <span>${match.index} - ${match.index + match[0].length}</span>
+        const count = result.replacements.length;
+        summary.innerHTML = `<i class="fas fa-exchange-alt"></i> ${count} ${count === 1 ? 'Ersetzung' : 'Ersetzungen'}`;
+        list.innerHTML = result.replacements.slice(0, MAX_LIST_ITEMS).map((replacement, i) => `
+            <div class="replacement-item" data-index="${replacement.index}">
+                <span class="match-number">Match ${i + 1}</span>
+                <span class="match-position">[${replacement.index}-${replacement.index + replacement.before.length}]</span>
+                <code class="replacement-before">${this.escapeHtml(replacement.before)}</code>
+                <i class="fas fa-arrow-right"></i>
+                <code class="replacement-after">${this.escapeHtml(replacement.after)}</code>
             </div>
-        `;
+        `).join('') + this.renderListOverflow(count);
 
-        if (match.length > 1) {
-            html += '<h4>Capturing Groups:</h4>';
-            for (let i = 1; i < match.length; i++) {
-                if (match[i] !== undefined) {
-                    html += `
-                        <div class="detail-item">
-                            <strong>Group ${i}:</strong>
-                            <code>${this.escapeHtml(match[i])}</code>
-                        </div>
-                    `;
-                }
-            }
-        }
+        this.updateSubstitutionDiff(result.testString, result.substitution);
+    }
 
-        detailsDiv.innerHTML = html;
+    updateSubstitutionDiff(original, modified) {
+        this.substitutionTexts = { original, modified };
+
+        if (this.diffEditor) {
+            const { original: originalModel, modified: modifiedModel } = this.diffEditor.getModel();
+            originalModel.setValue(original);
+            modifiedModel.setValue(modified);
+        }
     }
 
-    switchTab(tabName) {
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.tab === tabName);
-        });
+    // The diff editor needs a visible container, so it is only created with the tab
+    ensureDiffEditor() {
+        if (this.diffEditor) return;
 
-        document.querySelectorAll('.tab-pane').forEach(pane => {
-            pane.classList.toggle('active', pane.id === `${tabName}-tab`);
+        this.diffEditor = createDiffEditor(document.getElementById('substitution-diff'), {
+            renderSideBySide: !document.getElementById('substitution-inline').checked
         });
+        if (this.diffEditor) {
+            this.updateSubstitutionDiff(this.substitutionTexts.original, this.substitutionTexts.modified);
+        }
     }
 
-    toggleTheme() {
-        const body = document.body;
-        const isLight = body.classList.toggle('light-theme');
-        const themeIcon = document.querySelector('#theme-toggle i');
+    // The template expanded per match, see RegexEngine.list()
+    displayList(result) {
+        const summary = document.getElementById('list-summary');
+
+        if (result.listError !== undefined) {
+            summary.innerHTML = `<span class="substitution-error">Fehler in der Vorlage: ${this.escapeHtml(result.listError)}</span>`;
+            this.updateListOutput('');
+            return;
+        }
+
+        if (result.list === undefined) {
+            summary.textContent = 'Liste ist deaktiviert';
+            this.updateListOutput('');
+            return;
+        }
+
+        const count = result.matches.length;
+        summary.innerHTML = `<i class="fas fa-list"></i> ${count} ${count === 1 ? 'Eintrag' : 'Einträge'}`;
+        this.updateListOutput(result.list);
+    }
+
+    // Indexed list of the pieces, captured separators and empty strings are marked
+    displaySplit(result) {
+        const summary = document.getElementById('split-summary');
+        const list = document.getElementById('split-list');
+        const split = SPLIT_FUNCTIONS[result.flavor] || SPLIT_FUNCTIONS.javascript;
+
+        document.getElementById('split-call').textContent = split.call;
+
+        if (result.splitError !== undefined) {
+            summary.innerHTML = `<span class="substitution-error">Fehler beim Teilen: ${this.escapeHtml(result.splitError)}</span>`;
+            list.innerHTML = '';
+            return;
+        }
+
+        if (result.split === undefined) {
+            summary.textContent = 'Split ist deaktiviert';
+            list.innerHTML = '';
+            return;
+        }
+
+        const count = result.split.length;
+        summary.innerHTML = `<i class="fas fa-cut"></i> ${count} ${count === 1 ? 'Element' : 'Elemente'}`;
+        list.innerHTML = result.split.slice(0, MAX_LIST_ITEMS).map((part, i) => {
+            let value = `<code class="split-value">${this.escapeHtml(part.value)}</code>`;
+            if (part.value === undefined) {
+                value = `<code class="split-value unset">${split.unset}</code>`;
+            } else if (part.value === '') {
+                value = '<code class="split-value empty">leer</code>';
+            }
+
+            return `
+                <div class="split-item${part.captured ? ' captured' : ''}">
+                    <span class="split-index">${i}</span>
+                    ${value}
+                    ${part.captured ? '<span class="split-tag">Gruppe</span>' : ''}
+                </div>
+            `;
+        }).join('') + this.renderListOverflow(count) || '<div class="no-matches">Leeres Array</div>';
+    }
+
+    // Empty means no limit
+    getSplitLimit() {
+        const value = document.getElementById('split-limit').value.trim();
+        return value === '' ? null : parseInt(value, 10);
+    }
+
+    // Split takes a limit instead of a template
+    updateSubstitutionMode() {
+        const split = document.getElementById('substitution-mode').value === 'split';
+        document.getElementById('substitution-input').style.display = split ? 'none' : '';
+        document.getElementById('split-limit').style.display = split ? '' : 'none';
+    }
+
+    updateListOutput(text) {
+        this.listOutput = text;
+
+        if (this.listEditor) {
+            this.listEditor.setValue(text);
+        }
+    }
+
+    // Like the diff editor, the list editor needs a visible container
+    ensureListEditor() {
+        if (this.listEditor) return;
+
+        this.listEditor = createEditor(document.getElementById('list-output'), {
+            value: this.listOutput,
+            language: 'plaintext',
+            theme: document.body.classList.contains('light-theme') ? 'regex-light' : 'regex-dark',
+            readOnly: true,
+            wordWrap: 'off'
+        });
+    }
+
+    attachSubstitutionListeners() {
+        document.getElementById('copy-list').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(this.listOutput);
+                this.setStatus('Liste kopiert', 'success');
+            } catch (error) {
+                this.setStatus(`Kopieren fehlgeschlagen: ${error.message}`, 'error');
+            }
+        });
+
+        document.getElementById('substitution-inline').addEventListener('change', (e) => {
+            if (this.diffEditor) {
+                this.diffEditor.updateOptions({ renderSideBySide: !e.target.checked });
+            }
+        });
+
+        // Clicking a replacement scrolls the diff to it
+        document.getElementById('replacement-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.replacement-item');
+            if (!item || !this.diffEditor) return;
+
+            const editor = this.diffEditor.getOriginalEditor();
+            const position = editor.getModel().getPositionAt(Number(item.dataset.index));
+            editor.revealPositionInCenter(position);
+            editor.setPosition(position);
+        });
+    }
+
+    renderGroups(match, groupNames) {
+        const groups = this.getGroups(match, groupNames).filter(group => group.value !== undefined);
+        if (groups.length === 0) return '';
+
+        let html = '<div class="match-groups">';
+        groups.forEach(group => {
+            html += `
+                <div class="group-item">
+                    <span class="group-name">${this.formatGroupLabel(group)}:</span>
+                    <code>${this.escapeHtml(group.value)}</code>
+                    ${group.range ? `<span class="match-position">[${group.range[0]}-${group.range[1]}]</span>` : ''}
+                </div>
+            `;
+        });
+        html += '</div>';
+        return html;
+    }
+
+    // Numbered and named groups together, offsets come from match.indices
+    getGroups(match, groupNames = []) {
+        const groups = [];
+        for (let i = 1; i < match.length; i++) {
+            groups.push({
+                index: i,
+                name: groupNames[i] || null,
+                value: match[i],
+                range: match.indices ? match.indices[i] : undefined
+            });
+        }
+        return groups;
+    }
+
+    formatGroupLabel(group) {
+        return group.name
+            ? `Group ${group.index} &lt;${this.escapeHtml(group.name)}&gt;`
+            : `Group ${group.index}`;
+    }
+
+    generateExplanation(pattern, flags, flavor) {
+        const explanationDiv = document.getElementById('regex-explanation');
+        this.clearPatternSpanHighlight();
+
+        try {
+            const explanation = this.regexEngine.explain(pattern, flags, flavor);
+            explanationDiv.innerHTML = explanation;
+        } catch (error) {
+            explanationDiv.innerHTML = `<div class="error">Erklärung konnte nicht generiert werden: ${error.message}</div>`;
+        }
+    }
+
+    async generateReDoSReport(pattern, flags, flavor) {
+        const reportDiv = document.getElementById('redos-report');
+
+        if (!pattern) {
+            this.redosRunner.cancel();
+            this.redosIssues = [];
+            reportDiv.innerHTML = '';
+            this.renderPatternMarks();
+            return;
+        }
+
+        let report;
+        try {
+            report = await this.redosRunner.run({ pattern, flags, flavor });
+        } catch (error) {
+            // A newer analysis has taken over
+            if (error instanceof RegexCancelledError) return;
+
+            try {
+                if (!(error instanceof RegexTimeoutError)) throw error;
+                // The check itself backtracked into the timeout, that confirms the findings
+                report = { ...this.redosAnalyzer.analyze(pattern, flags, flavor, false), timedOut: true };
+            } catch (analyzeError) {
+                this.redosIssues = [];
+                reportDiv.innerHTML = `<div class="error">Analyse nicht möglich: ${this.escapeHtml(analyzeError.message)}</div>`;
+                this.renderPatternMarks();
+                return;
+            }
+        }
+
+        this.redosIssues = report.issues;
+        this.renderPatternMarks();
+
+        let summary = report.linear
+            ? 'RE2 arbeitet ohne Backtracking in linearer Zeit'
+            : `${report.issues.length} Befund${report.issues.length === 1 ? '' : 'e'}`;
+        if (report.timedOut) {
+            summary += `, die Prüfung lief ins Zeitlimit (${DEFAULT_TIMEOUT} ms)`;
+        }
+
+        reportDiv.innerHTML = `
+            <div class="redos-summary redos-${report.severity}">
+                <i class="fas fa-shield-alt"></i>
+                <strong>Risiko: ${REDOS_SEVERITY_LABELS[report.severity]}</strong>
+                <span>${summary}</span>
+            </div>
+            <ul class="redos-issues">
+                ${report.issues.map((issue, index) => `
+                    <li class="redos-issue redos-${issue.severity}" data-start="${issue.start}" data-end="${issue.end}">
+                        <div class="redos-issue-header">
+                            <span class="redos-badge">${REDOS_SEVERITY_LABELS[issue.severity]}</span>
+                            <code>${this.escapeHtml(pattern.slice(issue.start, issue.end))}</code>
+                            <span class="redos-complexity">${issue.complexity}</span>
+                        </div>
+                        <p>${this.escapeHtml(issue.message)}</p>
+                        <div class="redos-attack">
+                            <span>Angriffs-String:</span>
+                            <code>${this.escapeHtml(formatAttack(issue.attack))}</code>
+                            <button class="btn-small redos-use-attack" data-index="${index}" title="Ersetzt den Testtext, die Ausführung läuft dann ins Timeout">
+                                <i class="fas fa-bomb"></i> Als Testtext
+                            </button>
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    attachReDoSListeners() {
+        const reportDiv = document.getElementById('redos-report');
+        if (!reportDiv) return;
+
+        reportDiv.addEventListener('click', (e) => {
+            const button = e.target.closest('.redos-use-attack');
+            if (!button || !this.testStringEditor) return;
+
+            const issue = this.redosIssues[Number(button.dataset.index)];
+            this.testStringEditor.setValue(buildAttackString(issue.attack));
+        });
+
+        reportDiv.addEventListener('mouseover', (e) => {
+            const issue = e.target.closest('.redos-issue');
+            if (issue) {
+                this.highlightPatternSpan(Number(issue.dataset.start), Number(issue.dataset.end));
+            }
+        });
+
+        reportDiv.addEventListener('mouseleave', () => this.clearPatternSpanHighlight());
+    }
+
+    attachTestListeners() {
+        const list = document.getElementById('tests-list');
+
+        document.getElementById('add-test').addEventListener('click', () => {
+            this.tests.push({ id: this.nextTestId++, expect: 'match', input: '', expected: '' });
+            this.renderTests();
+            this.runTests();
+            list.querySelector('.test-item:last-child .test-input').focus();
+        });
+
+        list.addEventListener('input', (e) => {
+            const test = this.findTest(e.target);
+            if (!test || !e.target.dataset.field) return;
+
+            test[e.target.dataset.field] = e.target.value;
+            if (e.target.dataset.field === 'expect') {
+                this.renderTests();
+            }
+            this.runTests();
+        });
+
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('.test-delete');
+            if (!button) return;
+
+            const test = this.findTest(button);
+            this.tests = this.tests.filter(other => other !== test);
+            this.renderTests();
+            this.runTests();
+        });
+    }
+
+    findTest(element) {
+        const item = element.closest('.test-item');
+        return item ? this.tests.find(test => test.id === Number(item.dataset.id)) : null;
+    }
+
+    // Full re-render, only when tests are added, removed or change their type
+    renderTests() {
+        const list = document.getElementById('tests-list');
+
+        if (this.tests.length === 0) {
+            list.innerHTML = '<div class="no-matches">Noch keine Tests, z.B. für Eingaben, die das Pattern akzeptieren muss</div>';
+            return;
+        }
+
+        list.innerHTML = this.tests.map(test => `
+            <div class="test-item" data-id="${this.escapeHtml(test.id)}">
+                <div class="test-header">
+                    <span class="test-status pending">–</span>
+                    <select class="select-input test-expect" data-field="expect">
+                        ${Object.entries(TEST_TYPES).map(([value, label]) => `
+                            <option value="${this.escapeHtml(value)}"${test.expect === value ? ' selected' : ''}>${this.escapeHtml(label)}</option>
+                        `).join('')}
+                    </select>
+                    <button class="btn-icon test-delete" title="Test löschen">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                <textarea class="test-input" data-field="input" rows="1" placeholder="Eingabe..." spellcheck="false">${this.escapeHtml(test.input)}</textarea>
+                ${Object.keys(TEST_EXPECTED_PLACEHOLDERS).includes(test.expect) ? `
+                    <textarea class="test-expected" data-field="expected" rows="2" placeholder="${this.escapeHtml(TEST_EXPECTED_PLACEHOLDERS[test.expect])}" spellcheck="false">${this.escapeHtml(test.expected)}</textarea>
+                ` : ''}
+                <div class="test-message"></div>
+            </div>
+        `).join('');
+    }
+
+    async runTests() {
+        const pattern = this.getPattern();
+
+        if (!pattern || this.tests.length === 0) {
+            this.testRunner.cancel();
+            this.showTestResults(null);
+            return;
+        }
+
+        const request = {
+            pattern,
+            flags: document.getElementById('regex-flags').value,
+            flavor: document.getElementById('regex-flavor').value,
+            substitution: document.getElementById('substitution-input').value,
+            tests: this.tests
+        };
+
+        try {
+            this.showTestResults(await this.testRunner.run(request));
+        } catch (error) {
+            if (error instanceof RegexCancelledError) return;
+
+            // Timeouts and invalid patterns fail every test
+            this.showTestResults(this.tests.map(test => ({ id: test.id, passed: false, message: error.message })));
+        }
+    }
+
+    // Updates badges and messages in place so that editing a test keeps the focus
+    showTestResults(results) {
+        const badge = document.getElementById('tests-badge');
+        const summary = document.getElementById('tests-summary');
+
+        document.querySelectorAll('#tests-list .test-item').forEach(item => {
+            const result = results && results.find(candidate => candidate.id === Number(item.dataset.id));
+            const status = item.querySelector('.test-status');
+
+            status.className = `test-status ${result ? (result.passed ? 'passed' : 'failed') : 'pending'}`;
+            status.textContent = result ? (result.passed ? 'OK' : 'Fehler') : '–';
+            item.querySelector('.test-message').textContent = result ? result.message : '';
+        });
+
+        if (!results) {
+            badge.textContent = '';
+            badge.className = 'tests-badge';
+            summary.textContent = this.tests.length ? `${this.tests.length} Tests, kein Pattern` : '';
+            return;
+        }
+
+        const passed = results.filter(result => result.passed).length;
+        badge.textContent = `${passed}/${results.length}`;
+        badge.className = `tests-badge ${passed === results.length ? 'passed' : 'failed'}`;
+        summary.textContent = `${passed} von ${results.length} Tests bestanden`;
+    }
+
+    attachCodeListeners() {
+        const select = document.getElementById('code-language');
+
+        select.innerHTML = Object.entries(CODE_LANGUAGES)
+            .map(([value, language]) => `<option value="${value}">${language.label}</option>`)
+            .join('');
+        select.value = localStorage.getItem('codeLanguage') || 'javascript';
+        if (!select.value) {
+            select.value = 'javascript';
+        }
+
+        select.addEventListener('change', () => {
+            localStorage.setItem('codeLanguage', select.value);
+            this.generateCode();
+        });
+
+        document.getElementById('copy-code').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(this.generatedCode);
+                this.setStatus('Code kopiert', 'success');
+            } catch (error) {
+                this.setStatus(`Kopieren fehlgeschlagen: ${error.message}`, 'error');
+            }
+        });
+    }
+
+    // The snippet is only generated while the code tab is visible
+    invalidateCode() {
+        this.codeStale = true;
+
+        if (document.getElementById('code-tab').classList.contains('active')) {
+            this.generateCode();
+        }
+    }
+
+    async generateCode() {
+        const language = document.getElementById('code-language').value;
+        const output = document.getElementById('code-output');
+
+        this.codeStale = false;
+        this.generatedCode = this.codeGenerator.generate(language, {
+            pattern: this.getPattern(),
+            flags: document.getElementById('regex-flags').value,
+            flavor: document.getElementById('regex-flavor').value,
+            testString: this.testStringEditor ? this.testStringEditor.getValue() : '',
+            substitution: document.getElementById('substitution-input').value
+        });
+
+        const code = this.generatedCode;
+        const html = await monaco.editor.colorize(code, CODE_LANGUAGES[language].monaco, { tabSize: 4 });
+        // A newer snippet may have been generated in the meantime
+        if (code === this.generatedCode) {
+            output.innerHTML = html;
+        }
+    }
+
+    attachLibraryListeners() {
+        document.getElementById('library-save').addEventListener('click', () => this.saveToLibrary(this.libraryEntryId));
+        document.getElementById('library-save-new').addEventListener('click', () => this.saveToLibrary(null));
+        document.getElementById('library-search').addEventListener('input', () => this.renderLibrary());
+
+        // Import/Export
+        const importInput = document.getElementById('import-file');
+        document.getElementById('export-workspace').addEventListener('click', () => this.exportWorkspace());
+        document.getElementById('export-library').addEventListener('click', () => this.exportLibrary());
+        document.getElementById('import-file-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            if (importInput.files.length) {
+                this.importWorkspaceFile(importInput.files[0]);
+            }
+            // Allows importing the same file again
+            importInput.value = '';
+        });
+
+        document.getElementById('library-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.library-item');
+            if (!item) return;
+            const id = Number(item.dataset.id);
+
+            const tag = e.target.closest('.library-tag');
+            if (tag) {
+                document.getElementById('library-search').value = `#${tag.textContent}`;
+                this.renderLibrary();
+                return;
+            }
+
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case 'open':
+                    this.openLibraryEntry(id);
+                    break;
+                case 'duplicate':
+                    this.libraryAction(() => this.library.duplicate(id), 'Eintrag dupliziert');
+                    break;
+                case 'delete':
+                    if (confirm(`"${item.querySelector('.library-name').textContent}" löschen?`)) {
+                        if (id === this.libraryEntryId) {
+                            this.libraryEntryId = null;
+                        }
+                        this.libraryAction(() => this.library.delete(id), 'Eintrag gelöscht');
+                    }
+                    break;
+            }
+        });
+    }
+
+    // IndexedDB can be unavailable (e.g. in private windows), errors end up in the status bar
+    async libraryAction(action, message) {
+        try {
+            const result = await action();
+            this.setStatus(message, 'success');
+            await this.renderLibrary();
+            return result;
+        } catch (error) {
+            this.setStatus(`Bibliothek: ${error.message}`, 'error');
+            return null;
+        }
+    }
+
+    async saveToLibrary(id) {
+        const formEntry = this.getLibraryFormEntry();
+        if (!formEntry.name) {
+            this.setStatus('Bitte einen Namen für den Eintrag angeben', 'error');
+            document.getElementById('library-name').focus();
+            return;
+        }
+
+        const existing = id !== null ? await this.library.get(id).catch(() => null) : null;
+        const entry = { ...(existing || {}), ...formEntry };
+
+        const savedId = await this.libraryAction(() => this.library.save(entry), `"${entry.name}" gespeichert`);
+        if (savedId !== null) {
+            this.libraryEntryId = savedId;
+            await this.renderLibrary();
+        }
+    }
+
+    async openLibraryEntry(id) {
+        try {
+            const entry = await this.library.get(id);
+            if (!entry) return;
+
+            this.libraryEntryId = id;
+            document.getElementById('library-name').value = entry.name;
+            document.getElementById('library-description').value = entry.description || '';
+            document.getElementById('library-tags').value = (entry.tags || []).join(', ');
+
+            this.applyState(entry);
+            this.setStatus(`"${entry.name}" geöffnet`, 'success');
+            await this.renderLibrary();
+        } catch (error) {
+            this.setStatus(`Bibliothek: ${error.message}`, 'error');
+        }
+    }
+
+    // The library form names the exported workspace
+    getLibraryFormEntry() {
+        return {
+            ...this.getState(),
+            name: document.getElementById('library-name').value.trim(),
+            description: document.getElementById('library-description').value.trim(),
+            tags: parseTags(document.getElementById('library-tags').value)
+        };
+    }
+
+    downloadWorkspaceFile(entries, name) {
+        const file = createWorkspaceFile(entries);
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+
+        link.href = URL.createObjectURL(blob);
+        link.download = `${name.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'workspace'}.regex.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    exportWorkspace() {
+        const entry = this.getLibraryFormEntry();
+        this.downloadWorkspaceFile([entry], entry.name);
+        this.setStatus('Workspace exportiert', 'success');
+    }
+
+    async exportLibrary() {
+        try {
+            const entries = await this.library.list();
+            if (entries.length === 0) {
+                this.setStatus('Die Bibliothek ist leer', 'error');
+                return;
+            }
+
+            this.downloadWorkspaceFile(entries, 'regex-library');
+            this.setStatus(`${entries.length} Einträge exportiert`, 'success');
+        } catch (error) {
+            this.setStatus(`Bibliothek: ${error.message}`, 'error');
+        }
+    }
+
+    // A single entry replaces the workspace, several are added to the library
+    async importWorkspaceFile(file) {
+        let result;
+        try {
+            result = parseWorkspaceFile(await file.text());
+        } catch (error) {
+            this.setStatus(`Import fehlgeschlagen: ${error.message}`, 'error');
+            return;
+        }
+
+        const { entries, warnings } = result;
+        if (entries.length === 0) {
+            this.setStatus('Die Datei enthält keine Einträge', 'error');
+            return;
+        }
+
+        if (entries.length === 1) {
+            const [entry] = entries;
+            this.libraryEntryId = null;
+            document.getElementById('library-name').value = entry.name;
+            document.getElementById('library-description').value = entry.description;
+            document.getElementById('library-tags').value = entry.tags.join(', ');
+            this.applyState(entry);
+        } else {
+            const saved = await this.libraryAction(
+                () => Promise.all(entries.map(entry => this.library.save({ ...entry, name: entry.name || entry.regex }))),
+                `${entries.length} Einträge importiert`
+            );
+            if (!saved) return;
+        }
+
+        if (warnings.length) {
+            warnings.forEach(warning => console.warn('Import:', warning));
+            this.setStatus(`Importiert mit ${warnings.length} Hinweis(en): ${warnings[0]}`, 'warning');
+        } else if (entries.length === 1) {
+            this.setStatus(`"${entries[0].name || file.name}" importiert`, 'success');
+        }
+    }
+
+    async renderLibrary() {
+        const list = document.getElementById('library-list');
+        const query = document.getElementById('library-search').value;
+        let entries;
+
+        try {
+            entries = await this.library.list(query);
+        } catch (error) {
+            list.innerHTML = `<div class="no-matches">Bibliothek nicht verfügbar: ${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        if (entries.length === 0) {
+            list.innerHTML = `<div class="no-matches">${query.trim() ? 'Keine passenden Einträge' : 'Noch keine gespeicherten Patterns'}</div>`;
+            return;
+        }
+
+        list.innerHTML = entries.map(entry => `
+            <div class="library-item${entry.id === this.libraryEntryId ? ' active' : ''}" data-id="${entry.id}">
+                <div class="library-item-header">
+                    <span class="library-name">${this.escapeHtml(entry.name)}</span>
+                    <span class="library-flavor">${this.escapeHtml(entry.flavor || 'javascript')}</span>
+                    <span class="library-date">${new Date(entry.updated).toLocaleString('de-DE')}</span>
+                    <div class="library-item-actions">
+                        <button class="btn-icon" data-action="open" title="Öffnen">
+                            <i class="fas fa-folder-open"></i>
+                        </button>
+                        <button class="btn-icon" data-action="duplicate" title="Duplizieren">
+                            <i class="fas fa-clone"></i>
+                        </button>
+                        <button class="btn-icon" data-action="delete" title="Löschen">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+                <code class="library-pattern">/${this.escapeHtml(entry.regex || '')}/${this.escapeHtml(entry.flags || '')}</code>
+                ${entry.description ? `<div class="library-description">${this.escapeHtml(entry.description)}</div>` : ''}
+                ${entry.tags && entry.tags.length ? `
+                    <div class="library-tags">
+                        ${entry.tags.map(tag => `<span class="library-tag" title="Nach Tag filtern">${this.escapeHtml(tag)}</span>`).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+
+    attachDebuggerListeners() {
+        const scrubber = document.getElementById('debug-scrubber');
+        if (!scrubber) return;
+
+        scrubber.addEventListener('input', () => {
+            this.stopDebugPlayback();
+            this.showDebugStep(Number(scrubber.value));
+        });
+
+        const buttons = {
+            'debug-first': () => 0,
+            'debug-prev': () => this.debugStep - 1,
+            'debug-next': () => this.debugStep + 1,
+            'debug-last': () => Infinity
+        };
+        Object.entries(buttons).forEach(([id, target]) => {
+            document.getElementById(id).addEventListener('click', () => {
+                this.stopDebugPlayback();
+                this.showDebugStep(target());
+            });
+        });
+
+        document.getElementById('debug-play').addEventListener('click', () => this.toggleDebugPlayback());
+
+        document.getElementById('debug-steps').addEventListener('click', (e) => {
+            const item = e.target.closest('.debug-step');
+            if (item) {
+                this.stopDebugPlayback();
+                this.showDebugStep(Number(item.dataset.index));
+            }
+        });
+    }
+
+    invalidateDebugger() {
+        this.stopDebugPlayback();
+        this.debugStale = true;
+
+        if (document.getElementById('debugger-tab').classList.contains('active')) {
+            this.runDebugger();
+        }
+    }
+
+    runDebugger() {
+        const pattern = this.getPattern();
+        const flags = document.getElementById('regex-flags').value;
+        const testString = this.testStringEditor ? this.testStringEditor.getValue() : '';
+        const flavor = document.getElementById('regex-flavor').value;
+        const summary = document.getElementById('debug-summary');
+
+        this.debugStale = false;
+        this.debugSession = null;
+
+        if (!pattern) {
+            summary.innerHTML = '<div class="no-matches">Kein Pattern zum Debuggen</div>';
+            this.showDebugStep(0);
+            return;
+        }
+
+        try {
+            this.debugSession = this.regexDebugger.debug(pattern, flags, testString, flavor);
+        } catch (error) {
+            summary.innerHTML = `<div class="error">Debugger nicht verfügbar: ${this.escapeHtml(error.message)}</div>`;
+            this.showDebugStep(0);
+            return;
+        }
+
+        const { steps, matches, aborted } = this.debugSession;
+        const abortNotes = {
+            steps: `Abgebrochen nach ${MAX_STEPS} Schritten, katastrophales Backtracking`,
+            recursion: 'Abgebrochen, die Verschachtelung ist für den Debugger zu tief'
+        };
+
+        summary.innerHTML = `
+            <span class="stat"><i class="fas fa-list-ol"></i> <strong>${steps.length}</strong> Schritte</span>
+            <span class="stat"><i class="fas fa-hashtag"></i> ${matches.length} Matches</span>
+            ${aborted ? `<span class="debug-aborted"><i class="fas fa-exclamation-triangle"></i> ${abortNotes[aborted]}</span>` : ''}
+        `;
+
+        this.showDebugStep(0);
+    }
+
+    showDebugStep(index) {
+        const steps = this.debugSession ? this.debugSession.steps : [];
+        this.debugStep = Math.max(0, Math.min(index, steps.length - 1));
+
+        const scrubber = document.getElementById('debug-scrubber');
+        scrubber.max = Math.max(steps.length - 1, 0);
+        scrubber.value = this.debugStep;
+        document.getElementById('debug-counter').textContent = steps.length
+            ? `${this.debugStep + 1} / ${steps.length}`
+            : '0 / 0';
+
+        this.renderDebugSteps(steps);
+
+        const step = steps[this.debugStep];
+        this.debugSpan = step
+            ? { start: step.patternStart, end: step.patternEnd, className: `debug-current debug-${step.type}` }
+            : null;
+        this.renderPatternMarks();
+        this.highlightDebugPosition(step);
+    }
+
+    renderDebugSteps(steps) {
+        const list = document.getElementById('debug-steps');
+        const from = Math.max(0, this.debugStep - DEBUG_LIST_CONTEXT);
+        const to = Math.min(steps.length, this.debugStep + DEBUG_LIST_CONTEXT + 1);
+
+        list.innerHTML = steps.slice(from, to).map((step, i) => `
+            <li class="debug-step debug-${step.type}${from + i === this.debugStep ? ' current' : ''}" data-index="${from + i}">
+                <span class="debug-step-number">${from + i + 1}</span>
+                <span class="debug-step-type">${DEBUG_STEP_LABELS[step.type]}</span>
+                <span class="debug-step-description">${this.escapeHtml(step.description)}</span>
+            </li>
+        `).join('');
+
+        const current = list.querySelector('.debug-step.current');
+        if (current) {
+            current.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    // Marks what the current attempt has consumed and where the matcher stands
+    highlightDebugPosition(step) {
+        if (!this.testStringEditor || !this.testStringEditor.getModel) return;
+
+        const model = this.testStringEditor.getModel();
+        const decorations = [];
+
+        if (step) {
+            const startPos = model.getPositionAt(step.matchStart);
+            const position = model.getPositionAt(step.position);
+
+            if (step.position > step.matchStart) {
+                decorations.push({
+                    range: new monaco.Range(startPos.lineNumber, startPos.column, position.lineNumber, position.column),
+                    options: { className: step.type === 'success' ? 'debug-consumed debug-success' : 'debug-consumed' }
+                });
+            }
+            decorations.push({
+                range: new monaco.Range(position.lineNumber, position.column, position.lineNumber, position.column),
+                options: { beforeContentClassName: `debug-caret debug-${step.type}` }
+            });
+
+            this.testStringEditor.revealPositionInCenterIfOutsideViewport(position);
+        }
+
+        this.debugDecorations = this.testStringEditor.deltaDecorations(this.debugDecorations, decorations);
+    }
+
+    toggleDebugPlayback() {
+        if (this.debugTimer) {
+            this.stopDebugPlayback();
+            return;
+        }
+
+        const steps = this.debugSession ? this.debugSession.steps : [];
+        if (steps.length === 0) return;
+
+        if (this.debugStep >= steps.length - 1) {
+            this.showDebugStep(0);
+        }
+
+        document.querySelector('#debug-play i').classList.replace('fa-play', 'fa-pause');
+        this.debugTimer = setInterval(() => {
+            if (this.debugStep >= steps.length - 1) {
+                this.stopDebugPlayback();
+                return;
+            }
+            this.showDebugStep(this.debugStep + 1);
+        }, DEBUG_PLAYBACK_INTERVAL);
+    }
+
+    stopDebugPlayback() {
+        if (!this.debugTimer) return;
+
+        clearInterval(this.debugTimer);
+        this.debugTimer = null;
+        document.querySelector('#debug-play i').classList.replace('fa-pause', 'fa-play');
+    }
+
+    leaveDebugger() {
+        this.stopDebugPlayback();
+
+        if (this.debugSpan) {
+            this.debugSpan = null;
+            this.renderPatternMarks();
+        }
+        if (this.debugDecorations.length && this.testStringEditor && this.testStringEditor.deltaDecorations) {
+            this.debugDecorations = this.testStringEditor.deltaDecorations(this.debugDecorations, []);
+        }
+    }
+
+    // Marks the hovered span, the ReDoS findings and the debugger token in the pattern editor
+    renderPatternMarks() {
+        if (!this.regexEditor || !this.regexEditor.deltaDecorations) return;
+
+        const model = this.regexEditor.getModel();
+        const spans = this.redosIssues.map(issue => ({ start: issue.start, end: issue.end, className: `redos-mark redos-${issue.severity}` }));
+        if (this.hoveredSpan) {
+            spans.push({ ...this.hoveredSpan, className: 'hovered' });
+        }
+        if (this.debugSpan) {
+            spans.push(this.debugSpan);
+        }
+
+        const decorations = spans.map(span => {
+            const startPos = model.getPositionAt(span.start);
+            const endPos = model.getPositionAt(span.end);
+
+            return {
+                range: new monaco.Range(startPos.lineNumber, startPos.column, endPos.lineNumber, endPos.column),
+                options: { inlineClassName: `pattern-mark ${span.className}` }
+            };
+        });
+
+        this.patternDecorations = this.regexEditor.deltaDecorations(this.patternDecorations, decorations);
+    }
+
+    attachExplanationListeners() {
+        const explanationDiv = document.getElementById('regex-explanation');
+        if (!explanationDiv) return;
+
+        explanationDiv.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.explanation-toggle');
+            if (toggle) {
+                toggle.closest('.explanation-node').classList.toggle('collapsed');
+            }
+        });
+
+        explanationDiv.addEventListener('mouseover', (e) => {
+            const node = e.target.closest('.explanation-node[data-start]');
+            if (!node || node === this.hoveredExplanationNode) return;
+
+            this.hoveredExplanationNode = node;
+            this.highlightPatternSpan(Number(node.dataset.start), Number(node.dataset.end));
+        });
+
+        explanationDiv.addEventListener('mouseleave', () => this.clearPatternSpanHighlight());
+    }
+
+    // Highlights a span of the pattern in the input and the text it matched in the test editor
+    async highlightPatternSpan(start, end) {
+        const pattern = this.getPattern();
+        const span = { start, end };
+
+        this.hoveredSpan = span;
+        this.renderPatternMarks();
+
+        if (!this.testStringEditor || !this.testStringEditor.getModel) return;
+
+        let ranges;
+        try {
+            ranges = await this.spanRunner.run({
+                pattern,
+                flags: document.getElementById('regex-flags').value,
+                testString: this.testStringEditor.getValue(),
+                flavor: document.getElementById('regex-flavor').value,
+                start,
+                end
+            });
+        } catch (error) {
+            // Cancelled by the next hover, or the pattern backtracks too long to highlight anything
+            return;
+        }
+
+        // The pointer may have moved on while the worker was busy
+        if (this.hoveredSpan !== span) return;
+
+        const model = this.testStringEditor.getModel();
+        const decorations = ranges.map(([from, to]) => {
+            const startPos = model.getPositionAt(from);
+            const endPos = model.getPositionAt(to);
+
+            return {
+                range: new monaco.Range(startPos.lineNumber, startPos.column, endPos.lineNumber, endPos.column),
+                options: { className: 'regex-node-highlight' }
+            };
+        });
+
+        this.nodeDecorations = this.testStringEditor.deltaDecorations(this.nodeDecorations, decorations);
+    }
+
+    clearPatternSpanHighlight() {
+        this.spanRunner.cancel();
+        this.hoveredExplanationNode = null;
+        this.hoveredSpan = null;
+        this.renderPatternMarks();
+
+        if (this.nodeDecorations.length && this.testStringEditor && this.testStringEditor.deltaDecorations) {
+            this.nodeDecorations = this.testStringEditor.deltaDecorations(this.nodeDecorations, []);
+        }
+    }
+
+    // Expands and scrolls to the innermost explanation node covering the given pattern offset
+    revealExplanationFor(offset) {
+        const explanationDiv = document.getElementById('regex-explanation');
+        const nodes = Array.from(explanationDiv.querySelectorAll('.explanation-node[data-start]'));
+
+        const covering = (pos) => nodes.filter(node =>
+            Number(node.dataset.start) <= pos && pos < Number(node.dataset.end)
+        );
+
+        let candidates = covering(offset);
+        if (candidates.length === 0) {
+            candidates = covering(offset - 1);
+        }
+        if (candidates.length === 0) return;
+
+        // Document order puts descendants after their ancestors, so the last one is the innermost
+        const target = candidates[candidates.length - 1];
+
+        let parent = target.parentElement.closest('.explanation-node');
+        while (parent) {
+            parent.classList.remove('collapsed');
+            parent = parent.parentElement.closest('.explanation-node');
+        }
+
+        explanationDiv.querySelectorAll('.explanation-node.revealed').forEach(node => node.classList.remove('revealed'));
+        target.classList.add('revealed');
+        target.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+
+    showMatchDetails(match, index, groupNames) {
+        this.switchTab('details');
+
+        const detailsDiv = document.getElementById('match-details');
+        let html = `
+            <h3>Match ${index + 1} Details</h3>
+            <div class="detail-item">
+                <strong>Full Match:</strong>
+                <code>${this.escapeHtml(match[0])}</code>
+            </div>
+            <div class="detail-item">
+                <strong>Position:</strong>
+                <span>${match.index} - ${match.index + match[0].length}</span>
+            </div>
+        `;
+
+        const groups = this.getGroups(match, groupNames);
+        if (groups.length > 0) {
+            html += '<h4>Capturing Groups:</h4>';
+            groups.forEach(group => {
+                html += `
+                    <div class="detail-item">
+                        <strong>${this.formatGroupLabel(group)}:</strong>
+                        ${group.value !== undefined
+                            ? `<code>${this.escapeHtml(group.value)}</code>`
+                            : '<span class="group-unmatched">nicht beteiligt</span>'}
+                        ${group.range ? `<span class="match-position">${group.range[0]} - ${group.range[1]}</span>` : ''}
+                    </div>
+                `;
+            });
+        }
+
+        detailsDiv.innerHTML = html;
+    }
+
+    switchTab(tabName) {
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tabName);
+        });
+
+        document.querySelectorAll('.tab-pane').forEach(pane => {
+            pane.classList.toggle('active', pane.id === `${tabName}-tab`);
+        });
+
+        if (tabName === 'substitution') {
+            this.ensureDiffEditor();
+        }
+
+        if (tabName === 'list') {
+            this.ensureListEditor();
+        }
+
+        if (tabName === 'library') {
+            this.renderLibrary();
+        }
+
+        if (tabName === 'code' && this.codeStale) {
+            this.generateCode();
+        }
+
+        // The debugger only traces while it is visible
+        if (tabName === 'debugger') {
+            if (this.debugStale) {
+                this.runDebugger();
+            } else {
+                this.showDebugStep(this.debugStep);
+            }
+        } else {
+            this.leaveDebugger();
+        }
+    }
+
+    toggleTheme() {
+        const body = document.body;
+        const isLight = body.classList.toggle('light-theme');
+        const themeIcon = document.querySelector('#theme-toggle i');
 
         if (isLight) {
             themeIcon.classList.replace('fa-moon', 'fa-sun');
@@ -409,11 +2167,23 @@ How vexingly quick daft zebras jump!</textarea>
         document.getElementById('match-count').textContent = '0';
         document.getElementById('exec-time').textContent = '0';
         document.getElementById('matches-list').innerHTML = '<div class="no-matches">Keine Treffer</div>';
+        document.getElementById('matches-pager').hidden = true;
+        this.matchResult = { matches: [], groupNames: [] };
+        this.currentMatches = [];
+        document.getElementById('group-legend').innerHTML = '';
+        document.getElementById('substitution-summary').textContent = '';
+        document.getElementById('replacement-list').innerHTML = '';
+        this.updateSubstitutionDiff('', '');
+        document.getElementById('list-summary').textContent = '';
+        this.updateListOutput('');
+        document.getElementById('split-summary').textContent = '';
+        document.getElementById('split-list').innerHTML = '';
 
         if (this.currentDecorations && this.testStringEditor && this.testStringEditor.deltaDecorations) {
             this.testStringEditor.deltaDecorations(this.currentDecorations, []);
             this.currentDecorations = [];
         }
+        this.displayLineResults(undefined);
     }
 
     setStatus(message, type = 'info') {
@@ -427,54 +2197,104 @@ How vexingly quick daft zebras jump!</textarea>
         }, 3000);
     }
 
-    saveState() {
-        const state = {
-            regex: document.getElementById('regex-input').value,
+    // Everything needed to restore the editors, see applyState()
+    getState() {
+        return {
+            regex: this.getPattern(),
             flags: document.getElementById('regex-flags').value,
             testString: this.testStringEditor ? this.testStringEditor.getValue() : '',
             flavor: document.getElementById('regex-flavor').value,
             substitution: document.getElementById('substitution-input').value,
-            substitutionEnabled: document.getElementById('enable-substitution').checked
+            substitutionEnabled: document.getElementById('enable-substitution').checked,
+            substitutionMode: document.getElementById('substitution-mode').value,
+            splitLimit: document.getElementById('split-limit').value,
+            perLine: document.getElementById('per-line-mode').checked,
+            tests: this.tests
         };
-
-        localStorage.setItem('regexAppState', JSON.stringify(state));
-        this.setStatus('Gespeichert!', 'success');
     }
 
-    loadSavedState() {
-        const savedState = localStorage.getItem('regexAppState');
-        if (!savedState) return;
+    applyState(state) {
+        this.setPattern(state.regex || '');
+        document.getElementById('regex-flags').value = state.flags || '';
 
-        try {
-            const state = JSON.parse(savedState);
+        if (this.testStringEditor) {
+            if (this.testStringEditor.setValue) {
+                this.testStringEditor.setValue(state.testString || '');
+            } else if (document.getElementById('fallback-textarea')) {
+                document.getElementById('fallback-textarea').value = state.testString || '';
+            }
+        }
 
-            document.getElementById('regex-input').value = state.regex || '';
-            document.getElementById('regex-flags').value = state.flags || '';
+        document.getElementById('regex-flavor').value = state.flavor || 'javascript';
+        this.renderFlagOptions(document.getElementById('regex-flavor').value);
+        document.getElementById('substitution-input').value = state.substitution || '';
+        document.getElementById('enable-substitution').checked = state.substitutionEnabled || false;
+        document.getElementById('substitution-mode').value = ['list', 'split'].includes(state.substitutionMode) ? state.substitutionMode : 'replace';
+        document.getElementById('split-limit').value = state.splitLimit || '';
+        this.updateSubstitutionMode();
+        document.getElementById('per-line-mode').checked = state.perLine || false;
+        this.updatePerLineMode();
+
+        this.tests = (state.tests || []).map(test => ({ ...test }));
+        this.nextTestId = Math.max(0, ...this.tests.map(test => test.id)) + 1;
+        this.renderTests();
+
+        const container = document.getElementById('substitution-container');
+        if (container) {
+            container.style.display = state.substitutionEnabled ? 'block' : 'none';
+        }
 
-            if (this.testStringEditor) {
-                if (this.testStringEditor.setValue) {
-                    this.testStringEditor.setValue(state.testString || '');
-                } else if (document.getElementById('fallback-textarea')) {
-                    document.getElementById('fallback-textarea').value = state.testString || '';
-                }
-            }
+        this.updateFlagsAndProcess();
+    }
 
-            document.getElementById('regex-flavor').value = state.flavor || 'javascript';
-            document.getElementById('substitution-input').value = state.substitution || '';
-            document.getElementById('enable-substitution').checked = state.substitutionEnabled || false;
+    saveState() {
+        try {
+            localStorage.setItem('regexAppState', JSON.stringify(this.getState()));
+            this.setStatus('Gespeichert!', 'success');
+        } catch (error) {
+            // Mostly the quota, e.g. with a large test file
+            this.setStatus(`Speichern fehlgeschlagen: ${error.message}`, 'error');
+        }
+    }
 
-            if (state.substitutionEnabled) {
-                const container = document.getElementById('substitution-container');
-                if (container) {
-                    container.style.display = 'block';
-                }
+    async sharePermalink() {
+        try {
+            const hash = await encodePermalink(this.getState());
+            history.replaceState(null, '', hash);
+            await navigator.clipboard.writeText(location.href);
+
+            if (location.href.length > MAX_PERMALINK_LENGTH) {
+                this.setStatus(`Link kopiert, aber ${location.href.length} Zeichen lang - manche Programme kürzen Links über ${MAX_PERMALINK_LENGTH} Zeichen`, 'warning');
+            } else {
+                this.setStatus('Link kopiert', 'success');
             }
+        } catch (error) {
+            this.setStatus(`Link konnte nicht erstellt werden: ${error.message}`, 'error');
+        }
+    }
+
+    // Returns whether the URL contained a workspace
+    async loadPermalink() {
+        try {
+            const state = await decodePermalink(location.hash);
+            if (!state) return false;
 
-            this.updateFlagsAndProcess();
+            this.applyState(state);
+            this.setStatus('Workspace aus Link geladen', 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to load permalink:', error);
+            this.setStatus('Der Link ist beschädigt und konnte nicht geladen werden', 'error');
+            return false;
+        }
+    }
 
-            if (state.regex) {
-                this.processRegex();
-            }
+    loadSavedState() {
+        const savedState = localStorage.getItem('regexAppState');
+        if (!savedState) return;
+
+        try {
+            this.applyState(JSON.parse(savedState));
         } catch (error) {
             console.error('Failed to load saved state:', error);
         }
@@ -485,12 +2305,23 @@ How vexingly quick daft zebras jump!</textarea>
         if (savedTheme === 'light') {
             this.toggleTheme();
         }
+
+        const savedTimeout = parseInt(localStorage.getItem('executionTimeout'), 10);
+        this.regexRunner.timeout = savedTimeout > 0 ? savedTimeout : DEFAULT_TIMEOUT;
+        this.testRunner.timeout = this.regexRunner.timeout;
+        this.spanRunner.timeout = this.regexRunner.timeout;
+        document.getElementById('execution-timeout').value = this.regexRunner.timeout;
+    }
+
+    escapeMarkdown(text) {
+        return text.replace(/[\\`*_{}[\]()#+\-.!|<>]/g, '\\$&');
     }
 
+    // Also safe inside quoted attributes
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 }
 
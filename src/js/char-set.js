@@ -0,0 +1,146 @@
+// src/js/char-set.js
+
+const MAX_CODE_POINT = 0x10FFFF;
+
+// Characters preferred when an example character has to be picked from a set
+const SAMPLE_CANDIDATES = 'a0A_ -x!.';
+
+// An immutable set of code points, stored as sorted, non-overlapping [from, to] ranges
+export class CharSet {
+    constructor(ranges = []) {
+        this.ranges = CharSet.normalize(ranges);
+    }
+
+    static normalize(ranges) {
+        const sorted = ranges
+            .filter(([from, to]) => from <= to)
+            .sort((a, b) => a[0] - b[0]);
+
+        const merged = [];
+        sorted.forEach(([from, to]) => {
+            const last = merged[merged.length - 1];
+            if (last && from <= last[1] + 1) {
+                last[1] = Math.max(last[1], to);
+            } else {
+                merged.push([from, to]);
+            }
+        });
+        return merged;
+    }
+
+    static empty() {
+        return new CharSet();
+    }
+
+    static all() {
+        return new CharSet([[0, MAX_CODE_POINT]]);
+    }
+
+    static of(...codePoints) {
+        return new CharSet(codePoints.map(codePoint => [codePoint, codePoint]));
+    }
+
+    static range(from, to) {
+        return new CharSet([[from, to]]);
+    }
+
+    // Builds a set from a predicate, only the BMP is scanned
+    static fromPredicate(test, limit = 0xFFFF) {
+        const ranges = [];
+        let start = null;
+
+        for (let codePoint = 0; codePoint <= limit + 1; codePoint++) {
+            const inside = codePoint <= limit && test(String.fromCodePoint(codePoint));
+            if (inside && start === null) {
+                start = codePoint;
+            } else if (!inside && start !== null) {
+                ranges.push([start, codePoint - 1]);
+                start = null;
+            }
+        }
+
+        return new CharSet(ranges);
+    }
+
+    isEmpty() {
+        return this.ranges.length === 0;
+    }
+
+    has(codePoint) {
+        return this.ranges.some(([from, to]) => codePoint >= from && codePoint <= to);
+    }
+
+    union(other) {
+        return new CharSet([...this.ranges, ...other.ranges].map(range => [...range]));
+    }
+
+    intersect(other) {
+        const ranges = [];
+        let i = 0;
+        let j = 0;
+
+        while (i < this.ranges.length && j < other.ranges.length) {
+            const [fromA, toA] = this.ranges[i];
+            const [fromB, toB] = other.ranges[j];
+            const from = Math.max(fromA, fromB);
+            const to = Math.min(toA, toB);
+
+            if (from <= to) {
+                ranges.push([from, to]);
+            }
+            if (toA < toB) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+
+        return new CharSet(ranges);
+    }
+
+    negate() {
+        const ranges = [];
+        let next = 0;
+
+        this.ranges.forEach(([from, to]) => {
+            if (from > next) {
+                ranges.push([next, from - 1]);
+            }
+            next = to + 1;
+        });
+        if (next <= MAX_CODE_POINT) {
+            ranges.push([next, MAX_CODE_POINT]);
+        }
+
+        return new CharSet(ranges);
+    }
+
+    overlaps(other) {
+        return !this.intersect(other).isEmpty();
+    }
+
+    // Adds the other case of ASCII letters
+    caseInsensitive() {
+        const upper = this.intersect(CharSet.range(0x61, 0x7A)).ranges.map(([from, to]) => [from - 32, to - 32]);
+        const lower = this.intersect(CharSet.range(0x41, 0x5A)).ranges.map(([from, to]) => [from + 32, to + 32]);
+        return this.union(new CharSet([...upper, ...lower]));
+    }
+
+    // A readable example character of the set, or null for the empty set
+    sample() {
+        if (this.isEmpty()) {
+            return null;
+        }
+
+        for (const candidate of SAMPLE_CANDIDATES) {
+            if (this.has(candidate.codePointAt(0))) {
+                return candidate;
+            }
+        }
+
+        // Prefer printable characters over control characters
+        const printable = this.intersect(CharSet.range(0x21, MAX_CODE_POINT));
+        const [from] = (printable.isEmpty() ? this : printable).ranges[0];
+        return String.fromCodePoint(from);
+    }
+}
@@ -0,0 +1,798 @@
+// src/js/code-generator.js
+import { walkAst } from './regex-parser.js';
+import { Replacement } from './replacement.js';
+import { FLAVOR_FLAGS } from './regex-engine.js';
+import { POSIX_CLASSES } from './regex-translator.js';
+
+// Target languages, monaco is the language id used for syntax highlighting
+export const CODE_LANGUAGES = {
+    javascript: { label: 'JavaScript', monaco: 'javascript' },
+    typescript: { label: 'TypeScript', monaco: 'typescript' },
+    python: { label: 'Python', monaco: 'python' },
+    php: { label: 'PHP', monaco: 'php' },
+    golang: { label: 'Go', monaco: 'go' },
+    java: { label: 'Java', monaco: 'java' },
+    csharp: { label: 'C#', monaco: 'csharp' },
+    rust: { label: 'Rust', monaco: 'rust' }
+};
+
+// How each language spells the flags of the UI. An empty string means the
+// behaviour is the default there, a missing flag has no equivalent.
+// The g flag is not listed, it selects the replace-all call instead.
+const LANGUAGE_FLAGS = {
+    javascript: { i: 'i', m: 'm', s: 's', u: 'u', v: 'v', y: 'y', d: 'd' },
+    python: { i: 're.IGNORECASE', m: 're.MULTILINE', s: 're.DOTALL', x: 're.VERBOSE', a: 're.ASCII', u: '', d: '' },
+    php: { i: 'i', m: 'm', s: 's', x: 'x', U: 'U', A: 'A', D: 'D', u: 'u', d: '' },
+    golang: { i: 'i', m: 'm', s: 's', U: 'U', u: '', d: '' },
+    java: {
+        i: 'Pattern.CASE_INSENSITIVE',
+        m: 'Pattern.MULTILINE',
+        s: 'Pattern.DOTALL',
+        x: 'Pattern.COMMENTS',
+        u: 'Pattern.UNICODE_CHARACTER_CLASS',
+        d: ''
+    },
+    csharp: {
+        i: 'RegexOptions.IgnoreCase',
+        m: 'RegexOptions.Multiline',
+        s: 'RegexOptions.Singleline',
+        x: 'RegexOptions.IgnorePatternWhitespace',
+        n: 'RegexOptions.ExplicitCapture',
+        u: '',
+        d: ''
+    },
+    rust: { i: 'i', m: 'm', s: 's', x: 'x', U: 'U', u: '', d: '' }
+};
+LANGUAGE_FLAGS.typescript = LANGUAGE_FLAGS.javascript;
+
+// Pattern features the regex engine of a language lacks
+const UNSUPPORTED_FEATURES = {
+    javascript: ['atomic', 'possessive'],
+    typescript: ['atomic', 'possessive'],
+    golang: ['lookaround', 'backreference', 'atomic', 'possessive'],
+    csharp: ['possessive'],
+    rust: ['lookaround', 'backreference', 'atomic', 'possessive']
+};
+
+const FEATURE_LABELS = {
+    lookaround: 'Lookarounds',
+    backreference: 'Backreferences',
+    atomic: 'Atomic groups',
+    possessive: 'Possessive quantifiers'
+};
+
+// Named groups are written (?P<name>...) where (?<name>...) is not understood everywhere
+const PYTHON_STYLE_NAMES = ['python', 'golang', 'rust'];
+
+// Replacement syntax per language, null where the language has no such token
+const REPLACEMENT_SYNTAX = {
+    javascript: {
+        text: value => value.replace(/\$/g, '$$$$'),
+        // $01 keeps a following digit out of the group number
+        group: (index, beforeDigit) => (beforeDigit && index < 10 ? `$0${index}` : `$${index}`),
+        match: '$&',
+        before: '$`',
+        after: "$'"
+    },
+    python: {
+        text: value => value.replace(/\\/g, '\\\\'),
+        group: index => `\\g<${index}>`,
+        match: '\\g<0>',
+        before: null,
+        after: null
+    },
+    php: {
+        text: value => value.replace(/[\\$]/g, '\\$&'),
+        group: index => `\${${index}}`,
+        match: '${0}',
+        before: null,
+        after: null
+    },
+    golang: {
+        text: value => value.replace(/\$/g, '$$$$'),
+        group: index => `\${${index}}`,
+        match: '${0}',
+        before: null,
+        after: null
+    },
+    java: {
+        text: value => value.replace(/[\\$]/g, '\\$&'),
+        group: index => `$${index}`,
+        match: '$0',
+        before: null,
+        after: null
+    },
+    csharp: {
+        text: value => value.replace(/\$/g, '$$$$'),
+        group: index => `\${${index}}`,
+        match: '$&',
+        before: '$`',
+        after: "$'"
+    },
+    rust: {
+        text: value => value.replace(/\$/g, '$$$$'),
+        group: index => `\${${index}}`,
+        match: '${0}',
+        before: null,
+        after: null
+    }
+};
+REPLACEMENT_SYNTAX.typescript = REPLACEMENT_SYNTAX.javascript;
+
+const STRING_ESCAPES = {
+    '\\': '\\\\',
+    '"': '\\"',
+    '\n': '\\n',
+    '\r': '\\r',
+    '\t': '\\t'
+};
+
+const hex = (codePoint, length) => codePoint.toString(16).toUpperCase().padStart(length, '0');
+
+// How control characters are written in double-quoted strings
+const CONTROL_ESCAPES = {
+    javascript: codePoint => `\\u${hex(codePoint, 4)}`,
+    python: codePoint => `\\x${hex(codePoint, 2)}`,
+    php: codePoint => `\\x${hex(codePoint, 2)}`,
+    golang: codePoint => `\\x${hex(codePoint, 2)}`,
+    // Java translates \u escapes before parsing, \u000A would end the string
+    java: codePoint => `\\${codePoint.toString(8).padStart(3, '0')}`,
+    csharp: codePoint => `\\u${hex(codePoint, 4)}`,
+    rust: codePoint => `\\u{${hex(codePoint, 1)}}`
+};
+CONTROL_ESCAPES.typescript = CONTROL_ESCAPES.javascript;
+
+const utf16Escape = codePoint => String.fromCodePoint(codePoint).split('')
+    .map(char => `\\u${hex(char.charCodeAt(0), 4)}`)
+    .join('');
+
+// How a code point is written in a pattern where escapes like \x{263A} or
+// \u{1F600} differ. UTF-16 languages get a surrogate pair above U+FFFF.
+const PATTERN_CODE_POINTS = {
+    javascript: utf16Escape,
+    python: codePoint => (codePoint > 0xFFFF ? `\\U${hex(codePoint, 8)}` : `\\u${hex(codePoint, 4)}`),
+    php: codePoint => `\\x{${hex(codePoint, 1)}}`,
+    golang: codePoint => `\\x{${hex(codePoint, 1)}}`,
+    java: codePoint => `\\x{${hex(codePoint, 1)}}`,
+    csharp: utf16Escape,
+    rust: codePoint => `\\x{${hex(codePoint, 1)}}`
+};
+PATTERN_CODE_POINTS.typescript = PATTERN_CODE_POINTS.javascript;
+
+// Anchors only some flavors know, by how each language writes them. Languages
+// without an entry have no equivalent, the anchor is kept and reported.
+// The JavaScript forms do not depend on the m flag.
+const ANCHOR_SPELLINGS = {
+    stringStart: {
+        javascript: '(?<![\\s\\S])',
+        python: '\\A',
+        php: '\\A',
+        golang: '\\A',
+        java: '\\A',
+        csharp: '\\A',
+        rust: '\\A'
+    },
+    // Python writes the absolute end as \Z
+    stringEnd: {
+        javascript: '(?![\\s\\S])',
+        python: '\\Z',
+        php: '\\z',
+        golang: '\\z',
+        java: '\\z',
+        csharp: '\\z',
+        rust: '\\z'
+    },
+    // End of the string or before a newline at its end
+    stringEndNewline: {
+        javascript: '(?=\\n?(?![\\s\\S]))',
+        python: '(?=\\n?\\Z)',
+        php: '\\Z',
+        java: '\\Z',
+        csharp: '\\Z'
+    },
+    matchStart: { php: '\\G', java: '\\G', csharp: '\\G' },
+    keep: { php: '\\K' }
+};
+Object.values(ANCHOR_SPELLINGS).forEach(spellings => {
+    spellings.typescript = spellings.javascript;
+});
+
+// PCRE's \h and \v as code point ranges, written out where they are missing
+const HORIZONTAL_SPACE = [
+    [0x09, 0x09], [0x20, 0x20], [0xA0, 0xA0], [0x1680, 0x1680], [0x180E, 0x180E],
+    [0x2000, 0x200A], [0x202F, 0x202F], [0x205F, 0x205F], [0x3000, 0x3000]
+];
+const VERTICAL_SPACE = [[0x0A, 0x0D], [0x85, 0x85], [0x2028, 0x2029]];
+
+// Languages that read these tokens as written
+const SPACE_TYPE_LANGUAGES = ['php', 'java'];
+const ANY_BUT_NEWLINE_LANGUAGES = ['php'];
+const POSIX_CLASS_LANGUAGES = ['php', 'golang', 'rust'];
+const QUOTE_LANGUAGES = ['php', 'golang', 'java'];
+const COMMENT_LANGUAGES = ['php', 'python', 'csharp'];
+const SHORT_PROPERTY_LANGUAGES = ['php', 'golang', 'java', 'rust'];
+
+const UNICODE_FLAG_NOTE = 'Unicode properties like \\p{L} need the u flag in JavaScript';
+
+// Characters a quoted \Q...\E literal has to escape where it is written out
+const QUOTE_SYNTAX_CHARACTERS = '\\^$.|?*+()[]{}';
+
+// Generates ready-to-paste snippets that match, iterate all matches and
+// substitute with the current pattern. The pattern is taken over as written;
+// group names, backreferences and tokens that only some flavors know (\A, \Z,
+// \h, \Q...\E, POSIX classes, ...) are rewritten where the target language has
+// an equivalent. Flags, tokens and replacement features the target lacks are
+// listed as comments at the top of the snippet.
+export class CodeGenerator {
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    generate(language, { pattern, flags = '', flavor = 'javascript', testString = '', substitution = '' }) {
+        this.language = language;
+        this.notes = [];
+        this.flagLabels = Object.fromEntries((FLAVOR_FLAGS[flavor] || []).map(option => [option.flag, option.label]));
+
+        const ast = this.parsePattern(pattern, flags, flavor);
+        const options = {
+            pattern: ast ? this.convertPattern(pattern, flags, flavor, ast) : pattern,
+            flags: this.convertFlags(flags, flavor),
+            global: flags.includes('g'),
+            testString,
+            substitution: this.convertReplacement(substitution, flavor, pattern, flags, ast)
+        };
+
+        const lines = this[`generate${language[0].toUpperCase()}${language.slice(1)}`](options);
+
+        if (this.notes.length) {
+            const comment = language === 'python' ? '#' : '//';
+            const notes = [...this.notes.map(note => `${comment} Note: ${note}`), ''];
+            // PHP comments only count after the opening tag
+            lines.splice(language === 'php' ? 2 : 0, 0, ...notes);
+        }
+
+        return lines.join('\n');
+    }
+
+    parsePattern(pattern, flags, flavor) {
+        try {
+            return this.engine.parse(pattern, flavor, flags);
+        } catch (error) {
+            this.notes.push(`The pattern is invalid (${error.message}), it is used unchanged`);
+            return null;
+        }
+    }
+
+    // Rewrites group names, backreferences and flavor-specific tokens,
+    // reports unsupported features and tokens that have no equivalent
+    convertPattern(pattern, flags, flavor, ast) {
+        const pythonNames = PYTHON_STYLE_NAMES.includes(this.language);
+        const unsupported = UNSUPPORTED_FEATURES[this.language] || [];
+        const found = new Set();
+        const kept = new Set();
+        const edits = [];
+        const quoted = [];
+
+        walkAst(ast, (node, parent) => {
+            const token = this.convertToken(node, parent, flags, flavor);
+            if (token === null) {
+                kept.add(node.type === 'Group' ? '(?|...)' : node.raw);
+            } else if (token !== undefined) {
+                edits.push({ start: node.start, end: node.end, text: token });
+            }
+
+            if (node.type === 'Character' && node.quoted) {
+                quoted.push(node);
+            } else if (node.type === 'Group' && node.kind === 'named') {
+                const prefixLength = (node.nameSyntax === 'P<' ? 3 : 2) + node.name.length + 2;
+                const prefix = pythonNames ? `(?P<${node.name}>` : `(?<${node.name}>`;
+                edits.push({ start: node.start, end: node.start + prefixLength, text: prefix });
+            } else if (node.type === 'Group' && ['lookahead', 'negativeLookahead', 'lookbehind', 'negativeLookbehind'].includes(node.kind)) {
+                found.add('lookaround');
+            } else if (node.type === 'Group' && node.kind === 'atomic') {
+                found.add('atomic');
+            } else if (node.type === 'Quantifier' && node.possessive) {
+                found.add('possessive');
+            } else if (node.type === 'Backreference') {
+                found.add('backreference');
+                if (node.name) {
+                    const text = this.language === 'python' ? `(?P=${node.name})` : `\\k<${node.name}>`;
+                    edits.push({ start: node.start, end: node.end, text });
+                } else if (node.raw.startsWith('\\g') && this.language !== 'php') {
+                    // \g{-1} and \g2, the group keeps its number
+                    edits.push({ start: node.start, end: node.end, text: `(?:\\${node.index})` });
+                }
+            }
+        });
+
+        if (!QUOTE_LANGUAGES.includes(this.language)) {
+            edits.push(...this.unquote(pattern, quoted));
+        }
+
+        unsupported.filter(feature => found.has(feature)).forEach(feature => {
+            this.notes.push(`${FEATURE_LABELS[feature]} are not supported by ${CODE_LANGUAGES[this.language].label}`);
+        });
+        kept.forEach(token => {
+            this.notes.push(`${token} has no equivalent in ${CODE_LANGUAGES[this.language].label} and was kept as written`);
+        });
+
+        return edits
+            .sort((a, b) => b.start - a.start)
+            .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), pattern);
+    }
+
+    // The target spelling of a flavor-specific token, null if the target has
+    // none and undefined if the token stays as it is
+    convertToken(node, parent, flags, flavor) {
+        const language = this.language;
+        const inClass = parent !== null && (parent.type === 'CharacterClass' || parent.type === 'Range');
+
+        switch (node.type) {
+            case 'Anchor': {
+                // Python's \Z is the absolute end of the string
+                const kind = flavor === 'python' && node.kind === 'stringEndNewline' ? 'stringEnd' : node.kind;
+                const spellings = ANCHOR_SPELLINGS[kind];
+                if (!spellings) return undefined;
+                return spellings[language] === node.raw ? undefined : (spellings[language] || null);
+            }
+            case 'CharacterType':
+                return this.convertCharacterType(node, inClass);
+            case 'PosixClass':
+                if (POSIX_CLASS_LANGUAGES.includes(language)) return undefined;
+                // \v is no vertical tab everywhere
+                return node.negated ? null : POSIX_CLASSES[node.name].replace('\\v', '\\x0B');
+            case 'UnicodeProperty':
+                if (language === 'python') return null;
+                if ((language === 'javascript' || language === 'typescript') && !/[uv]/.test(flags) &&
+                    !this.notes.includes(UNICODE_FLAG_NOTE)) {
+                    this.notes.push(UNICODE_FLAG_NOTE);
+                }
+                if (node.raw[2] === '{' || SHORT_PROPERTY_LANGUAGES.includes(language)) return undefined;
+                return `${node.raw.slice(0, 2)}{${node.raw.slice(2)}}`;
+            case 'Character':
+                // \x{...}, \u{...}, \uXXXX and \cX are read differently
+                return node.escaped && /^\\(?:x\{|u|c)/.test(node.raw) ? PATTERN_CODE_POINTS[language](node.codePoint) : undefined;
+            case 'Comment':
+                // (?#...) and the empty \Q\E are left out where they do not exist
+                if (node.raw.startsWith('(?#')) return COMMENT_LANGUAGES.includes(language) ? undefined : '';
+                return /^\\[QE]/.test(node.raw) && !QUOTE_LANGUAGES.includes(language) ? '' : undefined;
+            case 'InlineFlags':
+                return language === 'javascript' || language === 'typescript' ? null : undefined;
+            case 'Group':
+                return node.kind === 'branchReset' && language !== 'php' ? null : undefined;
+            default:
+                return undefined;
+        }
+    }
+
+    // \h, \H, \v, \V, \R and \N written out where the target lacks them
+    convertCharacterType(node, inClass) {
+        if (node.kind === 'N') {
+            return ANY_BUT_NEWLINE_LANGUAGES.includes(this.language) ? undefined : '[^\\n]';
+        }
+        if (!'hHvVR'.includes(node.kind) || SPACE_TYPE_LANGUAGES.includes(this.language)) {
+            return undefined;
+        }
+
+        const codePoint = PATTERN_CODE_POINTS[this.language];
+        const content = (node.kind.toLowerCase() === 'h' ? HORIZONTAL_SPACE : VERTICAL_SPACE)
+            .map(([from, to]) => (from === to ? codePoint(from) : `${codePoint(from)}-${codePoint(to)}`))
+            .join('');
+
+        switch (node.kind) {
+            case 'h':
+            case 'v':
+                return inClass ? content : `[${content}]`;
+            case 'R':
+                return `(?:\\r\\n|[${content}])`;
+            default:
+                // A negated set cannot be merged into a class
+                return inClass ? null : `[^${content}]`;
+        }
+    }
+
+    // \Q...\E becomes escaped characters, a following quantifier stays on the last one
+    unquote(pattern, quoted) {
+        const runs = [];
+        quoted.forEach((node, i) => {
+            if (i > 0 && quoted[i - 1].end === node.start) {
+                runs[runs.length - 1].push(node);
+            } else {
+                runs.push([node]);
+            }
+        });
+
+        return runs.map(run => {
+            const last = run[run.length - 1];
+            const closed = pattern.startsWith('\\E', last.end);
+            const text = run.map(node => (QUOTE_SYNTAX_CHARACTERS.includes(node.raw) ? `\\${node.raw}` : node.raw)).join('');
+            return { start: run[0].start - 2, end: last.end + (closed ? 2 : 0), text };
+        });
+    }
+
+    // Returns the spellings of the flags in the target language
+    convertFlags(flags, flavor) {
+        const table = LANGUAGE_FLAGS[this.language];
+        const converted = [];
+
+        [...new Set(flags)].filter(flag => flag !== 'g').forEach(flag => {
+            if (table[flag] === undefined) {
+                const label = this.flagLabels[flag] ? ` (${this.flagLabels[flag]})` : '';
+                this.notes.push(`Flag ${flag}${label} of the ${flavor} flavor has no equivalent in ${CODE_LANGUAGES[this.language].label}`);
+            } else if (table[flag] && !converted.includes(table[flag])) {
+                converted.push(table[flag]);
+            }
+        });
+
+        return converted;
+    }
+
+    // Translates the replacement from the syntax of the flavor, see Replacement
+    convertReplacement(substitution, flavor, pattern, flags, ast) {
+        const syntax = REPLACEMENT_SYNTAX[this.language];
+        let parts;
+
+        try {
+            const groupCount = ast ? ast.groupCount : 0;
+            parts = new Replacement(substitution, flavor, groupCount, this.engine.getGroupNames(pattern, flags, flavor)).parts;
+        } catch (error) {
+            this.notes.push(`The replacement is invalid (${error.message}), it is used unchanged`);
+            return substitution;
+        }
+
+        const missing = new Set();
+        const result = parts.map((part, i) => {
+            const next = parts[i + 1];
+            switch (part.type) {
+                case 'text':
+                    return syntax.text(part.value);
+                case 'group':
+                    return syntax.group(part.index, next && next.type === 'text' && /^\d/.test(next.value));
+                case 'case':
+                    missing.add('Case conversion');
+                    return '';
+                default:
+                    if (syntax[part.type] === null) {
+                        missing.add(part.type === 'before' ? 'The text before the match' : 'The text after the match');
+                        return '';
+                    }
+                    return syntax[part.type];
+            }
+        }).join('');
+
+        missing.forEach(feature => {
+            this.notes.push(`${feature} in the replacement is not supported by ${CODE_LANGUAGES[this.language].label} and was left out`);
+        });
+
+        return result;
+    }
+
+    // String literals
+
+    quote(value) {
+        const control = CONTROL_ESCAPES[this.language];
+        let result = '';
+
+        for (const char of value) {
+            const codePoint = char.codePointAt(0);
+            if (STRING_ESCAPES[char]) {
+                result += STRING_ESCAPES[char];
+            } else if (char === '$' && this.language === 'php') {
+                result += '\\$';
+            } else if (codePoint < 0x20 || codePoint === 0x7F) {
+                result += control(codePoint);
+            } else {
+                result += char;
+            }
+        }
+
+        return `"${result}"`;
+    }
+
+    // Raw strings keep regex backslashes readable, they are used where the value allows it
+    quoteRaw(value) {
+        const hasControl = /[\x00-\x1F\x7F]/.test(value);
+
+        switch (this.language) {
+            case 'python':
+                // A raw string cannot end in a backslash, \" would keep its backslash
+                if (!hasControl && !value.includes('"') && !/\\$/.test(value)) {
+                    return `r"${value}"`;
+                }
+                break;
+            case 'golang':
+                if (!hasControl && !value.includes('`')) {
+                    return `\`${value}\``;
+                }
+                break;
+            case 'csharp':
+                if (!hasControl) {
+                    return `@"${value.replace(/"/g, '""')}"`;
+                }
+                break;
+            case 'rust':
+                if (!hasControl) {
+                    let hashes = '';
+                    while (value.includes(`"${hashes}`)) {
+                        hashes += '#';
+                    }
+                    return `r${hashes}"${value}"${hashes}`;
+                }
+                break;
+        }
+
+        return this.quote(value);
+    }
+
+    // PHP single quotes only know \\ and \', other backslashes stay as they are
+    quotePhpSingle(value) {
+        let result = '';
+
+        for (let i = 0; i < value.length; i++) {
+            const char = value[i];
+            if (char === '\'') {
+                result += '\\\'';
+            } else if (char === '\\' && (i === value.length - 1 || value[i + 1] === '\\' || value[i + 1] === '\'')) {
+                result += '\\\\';
+            } else {
+                result += char;
+            }
+        }
+
+        return `'${result}'`;
+    }
+
+    // A pattern between delimiters needs the delimiter escaped. Regex literals
+    // must stay on one line, PHP keeps line breaks since they matter in x mode.
+    // An empty pattern is written (?:), // would start a comment.
+    delimit(pattern, delimiter, singleLine = false) {
+        if (pattern === '') {
+            return `${delimiter}(?:)${delimiter}`;
+        }
+
+        let result = '';
+
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (char === '\\' && i + 1 < pattern.length) {
+                result += char + pattern[++i];
+            } else if (char === delimiter) {
+                result += `\\${delimiter}`;
+            } else if (singleLine && (char === '\n' || char === '\r')) {
+                result += char === '\n' ? '\\n' : '\\r';
+            } else {
+                result += char;
+            }
+        }
+
+        return `${delimiter}${result}${delimiter}`;
+    }
+
+    // Go and Rust take the flags as an inline group in front of the pattern
+    inlineFlags(pattern, flags) {
+        return flags.length ? `(?${flags.join('')})${pattern}` : pattern;
+    }
+
+    // Snippets
+
+    generateJavascript({ pattern, flags, global, testString, substitution }, types = false) {
+        const regexFlags = flags.join('');
+        const type = (name) => (types ? `: ${name}` : '');
+
+        return [
+            `const regex${type('RegExp')} = ${this.delimit(pattern, '/', true)}${regexFlags};`,
+            `const globalRegex${type('RegExp')} = new RegExp(regex, 'g' + regex.flags);`,
+            `const str${type('string')} = ${this.quote(testString)};`,
+            '',
+            '// First match',
+            `const match${type('RegExpExecArray | null')} = regex.exec(str);`,
+            'if (match) {',
+            '    console.log(`Match at ${match.index}: ${match[0]}`, match.slice(1));',
+            '}',
+            '',
+            '// All matches',
+            'for (const match of str.matchAll(globalRegex)) {',
+            '    console.log(`Match at ${match.index}: ${match[0]}`, match.slice(1));',
+            '}',
+            '',
+            '// Substitution',
+            `const subst${type('string')} = ${this.quote(substitution)};`,
+            `const result${type('string')} = str.replace(${global ? 'globalRegex' : 'regex'}, subst);`,
+            'console.log(result);'
+        ];
+    }
+
+    generateTypescript(options) {
+        return this.generateJavascript(options, true);
+    }
+
+    generatePython({ pattern, flags, global, testString, substitution }) {
+        const flagArgument = flags.length ? `, ${flags.join(' | ')}` : '';
+
+        return [
+            'import re',
+            '',
+            `regex = re.compile(${this.quoteRaw(pattern)}${flagArgument})`,
+            `test_str = ${this.quote(testString)}`,
+            '',
+            '# First match',
+            'match = regex.search(test_str)',
+            'if match:',
+            '    print(f"Match at {match.start()}: {match.group()}", match.groups())',
+            '',
+            '# All matches',
+            'for match in regex.finditer(test_str):',
+            '    print(f"Match at {match.start()}: {match.group()}", match.groups())',
+            '',
+            '# Substitution',
+            `subst = ${this.quoteRaw(substitution)}`,
+            `result = regex.sub(subst, test_str${global ? '' : ', count=1'})`,
+            'print(result)'
+        ];
+    }
+
+    generatePhp({ pattern, flags, global, testString, substitution }) {
+        return [
+            '<?php',
+            '',
+            `$re = ${this.quotePhpSingle(this.delimit(pattern, '/') + flags.join(''))};`,
+            `$str = ${this.quote(testString)};`,
+            '',
+            '// First match',
+            'if (preg_match($re, $str, $match, PREG_OFFSET_CAPTURE)) {',
+            '    print_r($match);',
+            '}',
+            '',
+            '// All matches',
+            'preg_match_all($re, $str, $matches, PREG_SET_ORDER | PREG_OFFSET_CAPTURE);',
+            'foreach ($matches as $match) {',
+            '    print_r($match);',
+            '}',
+            '',
+            '// Substitution',
+            `$subst = ${this.quotePhpSingle(substitution)};`,
+            `$result = preg_replace($re, $subst, $str${global ? '' : ', 1'});`,
+            'echo $result;'
+        ];
+    }
+
+    generateGolang({ pattern, flags, global, testString, substitution }) {
+        // Go has no replace-first, the first match is expanded by hand
+        const substitute = global
+            ? ['\tresult := re.ReplaceAllString(str, subst)']
+            : [
+                '\tresult := str',
+                '\tif loc := re.FindStringSubmatchIndex(str); loc != nil {',
+                '\t\tresult = str[:loc[0]] + string(re.ExpandString(nil, subst, str, loc)) + str[loc[1]:]',
+                '\t}'
+            ];
+
+        return [
+            'package main',
+            '',
+            'import (',
+            '\t"fmt"',
+            '\t"regexp"',
+            ')',
+            '',
+            'func main() {',
+            `\tre := regexp.MustCompile(${this.quoteRaw(this.inlineFlags(pattern, flags))})`,
+            `\tstr := ${this.quote(testString)}`,
+            '',
+            '\t// First match',
+            '\tif match := re.FindStringSubmatchIndex(str); match != nil {',
+            '\t\tfmt.Printf("Match at %d: %s\\n", match[0], str[match[0]:match[1]])',
+            '\t}',
+            '',
+            '\t// All matches',
+            '\tfor _, match := range re.FindAllStringSubmatchIndex(str, -1) {',
+            '\t\tfmt.Printf("Match at %d: %s\\n", match[0], str[match[0]:match[1]])',
+            '\t}',
+            '',
+            '\t// Substitution',
+            `\tsubst := ${this.quoteRaw(substitution)}`,
+            ...substitute,
+            '\tfmt.Println(result)',
+            '}'
+        ];
+    }
+
+    generateJava({ pattern, flags, global, testString, substitution }) {
+        const flagArgument = flags.length ? `, ${flags.join(' | ')}` : '';
+
+        return [
+            'import java.util.regex.Matcher;',
+            'import java.util.regex.Pattern;',
+            '',
+            'public class Example {',
+            '    public static void main(String[] args) {',
+            `        final Pattern pattern = Pattern.compile(${this.quote(pattern)}${flagArgument});`,
+            `        final String string = ${this.quote(testString)};`,
+            '',
+            '        // First match',
+            '        Matcher matcher = pattern.matcher(string);',
+            '        if (matcher.find()) {',
+            '            System.out.println("Match at " + matcher.start() + ": " + matcher.group());',
+            '        }',
+            '',
+            '        // All matches',
+            '        matcher = pattern.matcher(string);',
+            '        while (matcher.find()) {',
+            '            System.out.println("Match at " + matcher.start() + ": " + matcher.group());',
+            '            for (int i = 1; i <= matcher.groupCount(); i++) {',
+            '                System.out.println("Group " + i + ": " + matcher.group(i));',
+            '            }',
+            '        }',
+            '',
+            '        // Substitution',
+            `        final String subst = ${this.quote(substitution)};`,
+            `        final String result = pattern.matcher(string).${global ? 'replaceAll' : 'replaceFirst'}(subst);`,
+            '        System.out.println(result);',
+            '    }',
+            '}'
+        ];
+    }
+
+    generateCsharp({ pattern, flags, global, testString, substitution }) {
+        const flagArgument = flags.length ? `, ${flags.join(' | ')}` : '';
+
+        return [
+            'using System;',
+            'using System.Text.RegularExpressions;',
+            '',
+            'public class Example',
+            '{',
+            '    public static void Main()',
+            '    {',
+            `        var regex = new Regex(${this.quoteRaw(pattern)}${flagArgument});`,
+            `        var input = ${this.quote(testString)};`,
+            '',
+            '        // First match',
+            '        var match = regex.Match(input);',
+            '        if (match.Success)',
+            '        {',
+            '            Console.WriteLine($"Match at {match.Index}: {match.Value}");',
+            '        }',
+            '',
+            '        // All matches',
+            '        foreach (Match m in regex.Matches(input))',
+            '        {',
+            '            Console.WriteLine($"Match at {m.Index}: {m.Value}");',
+            '        }',
+            '',
+            '        // Substitution',
+            `        var subst = ${this.quoteRaw(substitution)};`,
+            `        var result = regex.Replace(input, subst${global ? '' : ', 1'});`,
+            '        Console.WriteLine(result);',
+            '    }',
+            '}'
+        ];
+    }
+
+    generateRust({ pattern, flags, global, testString, substitution }) {
+        return [
+            'use regex::Regex;',
+            '',
+            'fn main() {',
+            `    let re = Regex::new(${this.quoteRaw(this.inlineFlags(pattern, flags))}).unwrap();`,
+            `    let text = ${this.quote(testString)};`,
+            '',
+            '    // First match',
+            '    if let Some(m) = re.find(text) {',
+            '        println!("Match at {}: {}", m.start(), m.as_str());',
+            '    }',
+            '',
+            '    // All matches',
+            '    for caps in re.captures_iter(text) {',
+            '        let m = caps.get(0).unwrap();',
+            '        println!("Match at {}: {} {:?}", m.start(), m.as_str(), caps);',
+            '    }',
+            '',
+            '    // Substitution',
+            `    let subst = ${this.quoteRaw(substitution)};`,
+            `    let result = ${global ? 're.replace_all(text, subst)' : 're.replacen(text, 1, subst)'};`,
+            '    println!("{}", result);',
+            '}'
+        ];
+    }
+}
@@ -0,0 +1,283 @@
+// src/js/flavors/golang.js
+import { RegexSyntaxError } from '../regex-parser.js';
+import { RegexTranslator } from '../regex-translator.js';
+
+// Go's \s is ASCII only and does not include \v
+const SPACE = '\\t\\n\\f\\r ';
+
+const INLINE_FLAGS = 'imsU';
+
+// RE2 rejects repeat counts above this limit
+const MAX_REPEAT = 1000;
+
+// Error codes of Go's regexp/syntax package
+const ERROR_CODES = {
+    invalidCharRange: 'invalid character class range',
+    invalidEscape: 'invalid escape sequence',
+    invalidNamedCapture: 'invalid named capture',
+    invalidPerlOp: 'invalid or unsupported Perl syntax',
+    invalidRepeatOp: 'invalid nested repetition operator',
+    invalidRepeatSize: 'invalid repeat count',
+    missingBracket: 'missing closing ]',
+    missingParen: 'missing closing )',
+    missingRepeatArgument: 'missing argument to repetition operator',
+    trailingBackslash: 'trailing backslash at end of expression',
+    unexpectedParen: 'unexpected )'
+};
+
+// Same wording as the error returned by regexp.Compile
+function formatError(code, expr) {
+    return `error parsing regexp: ${ERROR_CODES[code]}: \`${expr}\``;
+}
+
+// Escapes RE2 accepts for a single character, in and outside of classes.
+// A lone \1 to \7 would be a backreference, so octal needs two digits there.
+const CHARACTER_ESCAPE = /^\\(?:[ -/:-@[-`{-~]|[aftnrv]|x(?:[0-9A-Fa-f]{2}|\{[0-9A-Fa-f]+\})|0[0-7]{0,2}|[1-7][0-7]{1,2})$/;
+
+const QUANTIFIER = /^(?:[*+?]|\{\d+(?:,\d*)?\})\??/;
+
+// Rewrites an error of the shared parser into the one regexp.Compile reports
+export function toGoSyntaxError(error, pattern) {
+    const rest = pattern.slice(error.offset);
+    const message = error.message;
+    let code = null;
+    let expr = rest;
+
+    if (message === 'Unmatched closing parenthesis') {
+        code = 'unexpectedParen';
+        expr = pattern;
+    } else if (message === 'Unterminated group') {
+        code = 'missingParen';
+        expr = pattern;
+    } else if (message === 'Unterminated character class') {
+        code = 'missingBracket';
+    } else if (message === 'Nothing to repeat') {
+        // a** stacks two operators, *a has nothing in front of it
+        const previous = /(?:[*+?]|\{\d+(?:,\d*)?\})\??$/.exec(pattern.slice(0, error.offset));
+        const operator = (QUANTIFIER.exec(rest) || [rest[0]])[0];
+        code = previous ? 'invalidRepeatOp' : 'missingRepeatArgument';
+        expr = previous ? previous[0] + operator : operator;
+    } else if (message.startsWith('Numbers out of order')) {
+        code = 'invalidRepeatSize';
+        expr = (QUANTIFIER.exec(rest) || [rest])[0];
+    } else if (message.startsWith('Range out of order')) {
+        code = 'invalidCharRange';
+        expr = /^(?:\\x\{[^}]*\}|\\.|[\s\S])-(?:\\x\{[^}]*\}|\\.|[\s\S])/u.exec(rest)[0];
+    } else if (message === 'Invalid group' || message === 'Unterminated comment') {
+        code = /^\(\?P?<(?![=!])/.test(rest) ? 'invalidNamedCapture' : 'invalidPerlOp';
+        expr = code === 'invalidNamedCapture' ? rest : rest.slice(0, 3);
+    } else if (message === '\\ at end of pattern') {
+        code = 'trailingBackslash';
+        expr = '';
+    } else if (message.startsWith('Unterminated Unicode property')) {
+        code = 'invalidCharRange';
+    } else if (message === 'Code point out of range') {
+        code = 'invalidEscape';
+        expr = rest.slice(0, rest.indexOf('}') + 1);
+    } else if (message.startsWith('Duplicate capture group name')) {
+        // Go allows it, JavaScript does not
+        return new RegexSyntaxError('Duplicate group names are unsupported in this offline engine', error.offset);
+    }
+
+    return code ? new RegexSyntaxError(formatError(code, expr), error.offset) : error;
+}
+
+// Validates a pattern against RE2 syntax as Go's regexp package implements it
+// and translates it into a JavaScript regex. RE2 has no backtracking, so
+// lookarounds, backreferences and possessive quantifiers are rejected the
+// same way regexp.Compile rejects them.
+export class GoTranslator extends RegexTranslator {
+    constructor(ast, flags) {
+        super(ast);
+        this.flags = flags;
+    }
+
+    initialState() {
+        return {
+            ignoreCase: this.flags.includes('i'),
+            multiline: this.flags.includes('m'),
+            dotAll: this.flags.includes('s'),
+            ungreedy: this.flags.includes('U')
+        };
+    }
+
+    applyFlag(state, letter, enabled) {
+        switch (letter) {
+            case 'i': state.ignoreCase = enabled; break;
+            case 'm': state.multiline = enabled; break;
+            case 's': state.dotAll = enabled; break;
+            case 'U': state.ungreedy = enabled; break;
+        }
+    }
+
+    // ^, $ and . are emulated, so m and s are not passed on
+    getJsFlags() {
+        let jsFlags = 'u';
+        if (this.flags.includes('g')) jsFlags += 'g';
+        if (this.initialIgnoreCase) jsFlags += 'i';
+        if (this.flags.includes('d')) jsFlags += 'd';
+        return jsFlags;
+    }
+
+    goError(code, expr, node) {
+        return this.error(formatError(code, expr), node);
+    }
+
+    emit(node) {
+        if (node.type === 'Comment' && node.raw.startsWith('(?#')) {
+            return this.goError('invalidPerlOp', '(?#', node);
+        }
+        if (node.type === 'Comment' && node.raw === '\\E') {
+            return this.goError('invalidEscape', '\\E', node);
+        }
+        return super.emit(node);
+    }
+
+    emitInlineFlags(node) {
+        this.validateInlineFlags(node);
+        return super.emitInlineFlags(node);
+    }
+
+    validateInlineFlags(node) {
+        for (const flag of node.enable + node.disable) {
+            if (!INLINE_FLAGS.includes(flag)) {
+                this.goError('invalidPerlOp', node.raw.slice(0, node.raw.indexOf(flag, 2) + 1), node);
+            }
+        }
+
+        // "(?i-)" has nothing after the minus
+        const opening = node.type === 'Group' ? node.raw.slice(0, node.raw.indexOf(':') + 1) : node.raw;
+        if (opening.includes('-') && !node.disable) {
+            this.goError('invalidPerlOp', opening, node);
+        }
+    }
+
+    emitGroup(node) {
+        switch (node.kind) {
+            case 'lookahead':
+            case 'negativeLookahead':
+            case 'lookbehind':
+            case 'negativeLookbehind':
+            case 'atomic':
+                return this.goError('invalidPerlOp', node.raw.slice(0, 3), node);
+            case 'named':
+                if (node.nameSyntax === "'") {
+                    return this.goError('invalidPerlOp', "(?'", node);
+                }
+                break;
+            case 'flags':
+                this.validateInlineFlags(node);
+                break;
+        }
+
+        return super.emitGroup(node);
+    }
+
+    emitQuantifier(node) {
+        const operator = node.raw.slice(node.quantifierStart - node.start);
+
+        // a++ is not possessive in RE2, it is two stacked operators
+        if (node.possessive) {
+            return this.goError('invalidRepeatOp', operator, node);
+        }
+        if (node.min > MAX_REPEAT || (node.max !== Infinity && node.max > MAX_REPEAT)) {
+            return this.goError('invalidRepeatSize', operator, node);
+        }
+
+        return super.emitQuantifier(node);
+    }
+
+    isLazy(node) {
+        // U (ungreedy) swaps the meaning of "*" and "*?"
+        return this.state.ungreedy ? !node.lazy : node.lazy;
+    }
+
+    emitCharacter(node, inClass) {
+        if (node.escaped && !CHARACTER_ESCAPE.test(node.raw)) {
+            return this.goError('invalidEscape', node.raw.slice(0, 2), node);
+        }
+        if (node.raw === '\\a') {
+            return '\\x07';
+        }
+
+        return super.emitCharacter(node, inClass);
+    }
+
+    emitCharacterType(node, inClass) {
+        switch (node.kind) {
+            case 's':
+                return inClass ? SPACE : `[${SPACE}]`;
+            case 'S':
+                return `[^${SPACE}]`;
+            default:
+                return super.emitCharacterType(node, inClass);
+        }
+    }
+
+    getNegatedMember(item) {
+        if (item.type === 'CharacterType' && item.kind === 'S') {
+            return SPACE;
+        }
+        return super.getNegatedMember(item);
+    }
+
+    emitDot() {
+        return this.state.dotAll ? '[\\s\\S]' : '[^\\n]';
+    }
+
+    emitAnchor(node) {
+        switch (node.kind) {
+            case 'start':
+                return this.state.multiline ? '(?:^|(?<=\\n))' : '^';
+            case 'end':
+                // Without m, $ only matches at the very end of the text
+                return this.state.multiline ? '(?=\\n|$)' : '$';
+            case 'stringStart':
+                return '^';
+            case 'stringEnd':
+                return '$';
+            case 'stringEndNewline':
+            case 'matchStart':
+                return this.goError('invalidEscape', node.raw, node);
+            default:
+                return super.emitAnchor(node);
+        }
+    }
+
+    emitBackreference(node) {
+        // \12 is an octal escape, a single digit would be a backreference
+        const octal = /^(\\[1-7][0-7]{0,2})(\d*)$/.exec(node.raw);
+        if (octal && CHARACTER_ESCAPE.test(octal[1])) {
+            return this.escapeLiteral(String.fromCharCode(parseInt(octal[1].slice(1), 8)), false) + octal[2];
+        }
+
+        const expr = node.raw.startsWith('(?') ? node.raw.slice(0, 3) : node.raw.slice(0, 2);
+        return this.goError(node.raw.startsWith('(?') ? 'invalidPerlOp' : 'invalidEscape', expr, node);
+    }
+
+    emitUnicodeProperty(node) {
+        let body = null;
+
+        // Go knows the general categories (\pL, \p{Lu}), Any and script names (\p{Greek})
+        if (node.value === null) {
+            if (node.name === 'Any' || (/^[A-Z][a-z]?$/.test(node.name) && this.isValidProperty(node.name))) {
+                body = node.name;
+            } else if (/^[A-Z]/.test(node.name) && this.isValidProperty(`Script=${node.name}`)) {
+                body = `Script=${node.name}`;
+            }
+        }
+
+        if (body === null) {
+            return this.goError('invalidCharRange', node.raw, node);
+        }
+        return `\\${node.negated ? 'P' : 'p'}{${body}}`;
+    }
+
+    getPosixContent(node) {
+        try {
+            return super.getPosixContent(node);
+        } catch (error) {
+            return this.goError('invalidCharRange', node.raw, node);
+        }
+    }
+}
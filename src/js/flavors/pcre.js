@@ -0,0 +1,216 @@
+// src/js/flavors/pcre.js
+import { RegexTranslator } from '../regex-translator.js';
+
+// PCRE's \s, \h and \v sets (PCRE2 without UCP)
+const SPACE = '\\t\\n\\v\\f\\r ';
+const HORIZONTAL_SPACE = '\\t \\xA0\\u1680\\u180E\\u2000-\\u200A\\u202F\\u205F\\u3000';
+const VERTICAL_SPACE = '\\n\\v\\f\\r\\x85\\u2028\\u2029';
+
+const INLINE_FLAGS = 'imnsxUJ';
+
+// Translates PCRE (PHP preg_*) syntax into a JavaScript regex. Constructs
+// without a JavaScript counterpart are emulated where the result behaves the
+// same; everything else is reported with its position in the pattern.
+export class PcreTranslator extends RegexTranslator {
+    constructor(ast, flags) {
+        super(ast);
+        this.flags = flags;
+    }
+
+    translate() {
+        this.sticky = this.flags.includes('A');
+        this.keepPosition = this.findKeep();
+        return super.translate();
+    }
+
+    initialState() {
+        return {
+            ignoreCase: this.flags.includes('i'),
+            multiline: this.flags.includes('m'),
+            dotAll: this.flags.includes('s'),
+            ungreedy: this.flags.includes('U'),
+            dollarEndOnly: this.flags.includes('D')
+        };
+    }
+
+    applyFlag(state, letter, enabled) {
+        switch (letter) {
+            case 'i': state.ignoreCase = enabled; break;
+            case 'm': state.multiline = enabled; break;
+            case 's': state.dotAll = enabled; break;
+            case 'U': state.ungreedy = enabled; break;
+        }
+    }
+
+    // ^, $ and . are emulated, so m and s are not passed on
+    getJsFlags() {
+        let jsFlags = 'u';
+        if (this.flags.includes('g')) jsFlags += 'g';
+        if (this.initialIgnoreCase) jsFlags += 'i';
+        if (this.flags.includes('d')) jsFlags += 'd';
+        // A (anchored) only allows matches that start where the previous one ended
+        if (this.sticky) jsFlags += 'y';
+        return jsFlags;
+    }
+
+    // \K is emulated as a lookbehind over everything before it, which only
+    // works when it sits directly in the top-level sequence
+    findKeep() {
+        const body = this.ast.body;
+        const elements = body.type === 'Sequence' ? body.elements : [];
+        const index = elements.findIndex(element => element.type === 'Anchor' && element.kind === 'keep');
+        return index === -1 ? null : index;
+    }
+
+    emitSequence(node) {
+        if (node === this.ast.body && this.keepPosition !== null) {
+            const before = node.elements.slice(0, this.keepPosition);
+            const after = node.elements.slice(this.keepPosition + 1);
+            const lookbehind = this.emitElements(before);
+            return `(?<=${lookbehind})` + this.emitElements(after);
+        }
+
+        return super.emitSequence(node);
+    }
+
+    emitInlineFlags(node) {
+        this.validateInlineFlags(node);
+        return super.emitInlineFlags(node);
+    }
+
+    validateInlineFlags(node) {
+        for (const flag of node.enable + node.disable) {
+            if (!INLINE_FLAGS.includes(flag)) {
+                this.error('Unrecognized character after (? or (?-', node);
+            }
+        }
+        if (/[nJ]/.test(node.enable + node.disable)) {
+            this.unsupported(`The modifier in "${node.raw}"`, node);
+        }
+    }
+
+    emitGroup(node) {
+        if (node.kind === 'flags') {
+            this.validateInlineFlags(node);
+        }
+        if (node.kind === 'lookbehind' || node.kind === 'negativeLookbehind') {
+            this.checkLookbehind(node);
+        }
+
+        return super.emitGroup(node);
+    }
+
+    // Each top-level alternative of a lookbehind has to be of fixed length
+    checkLookbehind(node) {
+        const alternatives = node.body.type === 'Alternation' ? node.body.alternatives : [node.body];
+
+        alternatives.forEach(alternative => {
+            const width = this.getWidth(alternative);
+            if (width.min !== width.max) {
+                this.error('Lookbehind assertion is not fixed length', node);
+            }
+        });
+    }
+
+    isLazy(node) {
+        // U (ungreedy) swaps the meaning of "*" and "*?"
+        return this.state.ungreedy ? !node.lazy : node.lazy;
+    }
+
+    emitCharacterType(node, inClass) {
+        switch (node.kind) {
+            case 's':
+                return inClass ? SPACE : `[${SPACE}]`;
+            case 'S':
+                return `[^${SPACE}]`;
+            case 'h':
+                return inClass ? HORIZONTAL_SPACE : `[${HORIZONTAL_SPACE}]`;
+            case 'H':
+                return `[^${HORIZONTAL_SPACE}]`;
+            case 'v':
+                return inClass ? VERTICAL_SPACE : `[${VERTICAL_SPACE}]`;
+            case 'V':
+                return `[^${VERTICAL_SPACE}]`;
+            case 'N':
+                return '[^\\n]';
+            case 'R':
+                // Any newline sequence; \r\n is never split because \R is atomic
+                return `(?:\\r\\n|(?!\\r\\n)[${VERTICAL_SPACE}])`;
+            default:
+                return super.emitCharacterType(node, inClass);
+        }
+    }
+
+    getNegatedMember(item) {
+        if (item.type === 'CharacterType') {
+            switch (item.kind) {
+                case 'S': return SPACE;
+                case 'H': return HORIZONTAL_SPACE;
+                case 'V': return VERTICAL_SPACE;
+            }
+        }
+        return super.getNegatedMember(item);
+    }
+
+    emitDot() {
+        return this.state.dotAll ? '[\\s\\S]' : '[^\\n]';
+    }
+
+    emitAnchor(node) {
+        switch (node.kind) {
+            case 'start':
+                // In multiline mode ^ does not match after a newline at the very end
+                return this.state.multiline ? '(?:^|(?<=\\n)(?!$))' : '^';
+            case 'end':
+                if (this.state.multiline) {
+                    return '(?=\\n|$)';
+                }
+                return this.state.dollarEndOnly ? '$' : '(?=\\n?$)';
+            case 'stringStart':
+                return '^';
+            case 'stringEndNewline':
+                return '(?=\\n?$)';
+            case 'stringEnd':
+                return '$';
+            case 'matchStart':
+                return this.emitMatchStart(node);
+            case 'keep':
+                return this.unsupported('\\K inside groups, alternations or lookarounds', node);
+            default:
+                return super.emitAnchor(node);
+        }
+    }
+
+    // \G at the very start is what the sticky flag does
+    emitMatchStart(node) {
+        const body = this.ast.body;
+        const first = body.type === 'Sequence' ? body.elements.find(element => element.type !== 'Comment') : null;
+
+        if (first !== node) {
+            return this.unsupported('\\G anywhere but at the start of the pattern', node);
+        }
+
+        this.sticky = true;
+        return '';
+    }
+
+    emitUnicodeProperty(node) {
+        let name = node.name;
+        let value = node.value;
+
+        // PCRE writes scripts without "Script=" and cased letters as L&
+        if (name === 'L&') {
+            name = 'LC';
+        }
+        if (value === null && !this.isValidProperty(name) && this.isValidProperty(`Script=${name}`)) {
+            value = name;
+            name = 'Script';
+        }
+
+        const body = value !== null ? `${name}=${value}` : name;
+        if (!this.isValidProperty(body)) {
+            this.error('Unknown property name after \\P or \\p', node);
+        }
+        return `\\${node.negated ? 'P' : 'p'}{${body}}`;
+    }
+}
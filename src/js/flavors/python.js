@@ -0,0 +1,223 @@
+// src/js/flavors/python.js
+import { RegexTranslator } from '../regex-translator.js';
+
+// Python's \w: letters, digits and numerics of any script plus "_"
+const UNICODE_WORD = '\\p{L}\\p{N}_';
+const ASCII_WORD = 'a-zA-Z0-9_';
+const ASCII_SPACE = ' \\t\\n\\r\\f\\v';
+
+// Letters that form a valid escape in a Python pattern
+const PYTHON_ESCAPES = 'abfnrtvxu0123456789dDsSwWbBAZ';
+
+const INLINE_FLAGS = 'aiLmsux';
+
+// Translates Python `re` syntax and semantics into a JavaScript regex.
+// ^, $, . and the character classes are emulated so that they behave like
+// Python's (e.g. $ also matches before a trailing newline, \w is Unicode-aware).
+export class PythonTranslator extends RegexTranslator {
+    constructor(ast, flags) {
+        super(ast);
+        this.flags = flags;
+    }
+
+    translate() {
+        const elements = this.ast.body.type === 'Sequence' ? this.ast.body.elements : [];
+        this.leadingFlags = '';
+
+        // Global inline flags have to be at the very start (Python 3.11+)
+        for (const element of elements) {
+            if (element.type === 'Comment') continue;
+            if (element.type !== 'InlineFlags') break;
+
+            this.validateInlineFlags(element);
+            if (element.disable) {
+                this.error('missing :', element);
+            }
+            this.leadingFlags += element.enable;
+        }
+
+        return super.translate();
+    }
+
+    // Also runs for the second pass, see RegexTranslator.translate()
+    emitPattern() {
+        this.atStart = true;
+        return super.emitPattern();
+    }
+
+    initialState() {
+        const flags = this.flags + this.leadingFlags;
+
+        return {
+            ignoreCase: flags.includes('i'),
+            multiline: flags.includes('m'),
+            dotAll: flags.includes('s'),
+            ascii: flags.includes('a')
+        };
+    }
+
+    applyFlag(state, letter, enabled) {
+        switch (letter) {
+            case 'i': state.ignoreCase = enabled; break;
+            case 'm': state.multiline = enabled; break;
+            case 's': state.dotAll = enabled; break;
+            case 'a': state.ascii = enabled; break;
+        }
+    }
+
+    // ^, $ and . are emulated, so m and s are not passed on
+    getJsFlags() {
+        let jsFlags = 'u';
+        if (this.flags.includes('g')) jsFlags += 'g';
+        if (this.initialIgnoreCase) jsFlags += 'i';
+        if (this.flags.includes('d')) jsFlags += 'd';
+        return jsFlags;
+    }
+
+    validateInlineFlags(node) {
+        for (const flag of node.enable + node.disable) {
+            if (flag === 'L') {
+                this.error("bad inline flags: cannot use 'L' flag with a str pattern", node);
+            }
+            if (!INLINE_FLAGS.includes(flag)) {
+                this.error('unknown flag', node);
+            }
+        }
+        if (node.disable && /[aLu]/.test(node.disable)) {
+            this.error('bad inline flags: cannot turn off flags \'a\', \'u\' and \'L\'', node);
+        }
+    }
+
+    emit(node) {
+        if (node.type !== 'InlineFlags' && node.type !== 'Comment' && node.type !== 'Sequence') {
+            this.atStart = false;
+        }
+        return super.emit(node);
+    }
+
+    emitInlineFlags(node) {
+        // Leading global flags were already applied in translate()
+        if (!this.atStart) {
+            this.error('global flags not at the start of the expression', node);
+        }
+        return '';
+    }
+
+    emitGroup(node) {
+        if (node.kind === 'named' && node.nameSyntax !== 'P<') {
+            this.error(`unknown extension ?${node.nameSyntax}${node.name[0]}`, node);
+        }
+        if (node.kind === 'lookbehind' || node.kind === 'negativeLookbehind') {
+            const width = this.getWidth(node.body);
+            if (width.min !== width.max) {
+                this.error('look-behind requires fixed-width pattern', node);
+            }
+        }
+        if (node.kind === 'flags') {
+            this.validateInlineFlags(node);
+        }
+
+        return super.emitGroup(node);
+    }
+
+    emitCharacter(node, inClass) {
+        if (node.escaped && /^\\[A-Za-z]$/.test(node.raw)) {
+            const letter = node.raw[1];
+            if (letter === 'U' || letter === 'N') {
+                return this.unsupported(`The escape ${node.raw}`, node);
+            }
+            if (!PYTHON_ESCAPES.includes(letter)) {
+                this.error(`bad escape ${node.raw}`, node);
+            }
+            if (letter === 'a') {
+                return '\\x07';
+            }
+        }
+
+        return super.emitCharacter(node, inClass);
+    }
+
+    emitCharacterType(node, inClass) {
+        const word = this.state.ascii ? ASCII_WORD : UNICODE_WORD;
+
+        switch (node.kind) {
+            case 'd':
+                return this.state.ascii ? (inClass ? '0-9' : '[0-9]') : '\\p{Nd}';
+            case 'D':
+                return this.state.ascii ? '[^0-9]' : '\\P{Nd}';
+            case 'w':
+                return inClass ? word : `[${word}]`;
+            case 'W':
+                return `[^${word}]`;
+            case 's':
+                return this.state.ascii ? (inClass ? ASCII_SPACE : `[${ASCII_SPACE}]`) : '\\s';
+            case 'S':
+                return this.state.ascii ? `[^${ASCII_SPACE}]` : '\\S';
+            default:
+                return super.emitCharacterType(node, inClass);
+        }
+    }
+
+    getNegatedMember(item) {
+        if (item.type !== 'CharacterType') {
+            return super.getNegatedMember(item);
+        }
+
+        switch (item.kind) {
+            case 'W':
+                return this.state.ascii ? ASCII_WORD : UNICODE_WORD;
+            case 'D':
+                return this.state.ascii ? '0-9' : null;
+            case 'S':
+                return this.state.ascii ? ASCII_SPACE : null;
+            default:
+                return null;
+        }
+    }
+
+    emitDot() {
+        return this.state.dotAll ? '[\\s\\S]' : '[^\\n]';
+    }
+
+    emitAnchor(node) {
+        const word = this.state.ascii ? ASCII_WORD : UNICODE_WORD;
+
+        switch (node.kind) {
+            case 'start':
+                return this.state.multiline ? '(?:^|(?<=\\n))' : '^';
+            case 'end':
+                // Python's $ also matches before a newline at the end of the string
+                return this.state.multiline ? '(?=\\n|$)' : '(?=\\n?$)';
+            case 'stringStart':
+                return '^';
+            case 'stringEndNewline':
+                // \Z in Python is the absolute end of the string
+                return '$';
+            case 'wordBoundary':
+                return `(?:(?<=[${word}])(?![${word}])|(?<![${word}])(?=[${word}]))`;
+            case 'nonWordBoundary':
+                return `(?:(?<=[${word}])(?=[${word}])|(?<![${word}])(?![${word}]))`;
+            case 'stringEnd':
+                return this.error('bad escape \\z', node);
+            default:
+                return this.error(`bad escape ${node.raw}`, node);
+        }
+    }
+
+    emitBackreference(node) {
+        if (node.raw.startsWith('\\k')) {
+            this.error('bad escape \\k', node);
+        }
+        if (node.name !== undefined && !this.ast.groupNames.includes(node.name)) {
+            this.error(`unknown group name '${node.name}'`, node);
+        }
+        if (node.index !== undefined && node.index > this.ast.groupCount) {
+            this.error(`invalid group reference ${node.index}`, node);
+        }
+        return super.emitBackreference(node);
+    }
+
+    emitUnicodeProperty(node) {
+        return this.error(`bad escape ${node.raw.slice(0, 2)}`, node);
+    }
+}
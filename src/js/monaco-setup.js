@@ -1,5 +1,6 @@
 // src/js/monaco-setup.js
 import * as monaco from 'monaco-editor';
+import { registerRegexLanguages, REGEX_TOKEN_RULES } from './regex-language.js';
 
 // Worker setup für Vite
 self.MonacoEnvironment = {
@@ -36,11 +37,14 @@ export async function setupMonacoEnvironment() {
     // Warte kurz damit Monaco vollständig geladen ist
     await new Promise(resolve => setTimeout(resolve, 100));
 
+    // Regex-Sprachen für das Pattern-Eingabefeld
+    registerRegexLanguages(monaco);
+
     // Registriere Dark Theme
     monaco.editor.defineTheme('regex-dark', {
         base: 'vs-dark',
         inherit: true,
-        rules: [],
+        rules: REGEX_TOKEN_RULES.dark,
         colors: {
             'editor.background': '#252525',
         }
@@ -50,7 +54,7 @@ export async function setupMonacoEnvironment() {
     monaco.editor.defineTheme('regex-light', {
         base: 'vs',
         inherit: true,
-        rules: [],
+        rules: REGEX_TOKEN_RULES.light,
         colors: {
             'editor.background': '#ffffff',
         }
@@ -104,5 +108,100 @@ export function createEditor(container, options = {}) {
     }
 }
 
+// Create Regex Editor Helper (pattern input, grows with its content)
+export function createRegexEditor(container, options = {}) {
+    if (!container) {
+        console.error('Container for Monaco Regex Editor not found!');
+        return null;
+    }
+
+    const defaultOptions = {
+        value: '',
+        language: 'regex-javascript',
+        theme: document.body.classList.contains('light-theme') ? 'regex-light' : 'regex-dark',
+        fontSize: 16,
+        fontFamily: '"JetBrains Mono", "Courier New", monospace',
+        lineNumbers: 'off',
+        glyphMargin: false,
+        folding: false,
+        lineDecorationsWidth: 0,
+        lineNumbersMinChars: 0,
+        minimap: { enabled: false },
+        scrollBeyondLastLine: false,
+        wordWrap: 'off',
+        renderLineHighlight: 'none',
+        overviewRulerLanes: 0,
+        overviewRulerBorder: false,
+        hideCursorInOverviewRuler: true,
+        matchBrackets: 'always',
+        bracketPairColorization: { enabled: false },
+        occurrencesHighlight: false,
+        selectionHighlight: false,
+        quickSuggestions: false,
+        automaticLayout: true,
+        fixedOverflowWidgets: true,
+        padding: { top: 6, bottom: 6 },
+        scrollbar: {
+            vertical: 'auto',
+            horizontal: 'hidden',
+            verticalScrollbarSize: 6,
+            alwaysConsumeMouseWheel: false
+        }
+    };
+
+    try {
+        return monaco.editor.create(container, {
+            ...defaultOptions,
+            ...options
+        });
+    } catch (error) {
+        console.error('Error creating Monaco Regex Editor:', error);
+        return null;
+    }
+}
+
+// Create Diff Editor Helper (read-only, shows original and modified text)
+export function createDiffEditor(container, options = {}) {
+    if (!container) {
+        console.error('Container for Monaco Diff Editor not found!');
+        return null;
+    }
+
+    const defaultOptions = {
+        theme: document.body.classList.contains('light-theme') ? 'regex-light' : 'regex-dark',
+        fontSize: 14,
+        fontFamily: '"JetBrains Mono", "Courier New", monospace',
+        minimap: { enabled: false },
+        scrollBeyondLastLine: false,
+        wordWrap: 'on',
+        readOnly: true,
+        originalEditable: false,
+        renderSideBySide: true,
+        automaticLayout: true,
+        renderOverviewRuler: false,
+        scrollbar: {
+            verticalScrollbarSize: 10,
+            horizontalScrollbarSize: 10
+        }
+    };
+
+    try {
+        const editor = monaco.editor.createDiffEditor(container, {
+            ...defaultOptions,
+            ...options
+        });
+
+        editor.setModel({
+            original: monaco.editor.createModel('', 'plaintext'),
+            modified: monaco.editor.createModel('', 'plaintext')
+        });
+
+        return editor;
+    } catch (error) {
+        console.error('Error creating Monaco Diff Editor:', error);
+        return null;
+    }
+}
+
 export { monaco };
 export default monaco;
@@ -0,0 +1,91 @@
+// src/js/pattern-library.js
+
+const DB_NAME = 'regex404';
+const DB_VERSION = 1;
+const STORE_NAME = 'patterns';
+
+// IndexedDB reports through callbacks, this turns a request into a promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Tags are entered as "a, b, c", stored trimmed and without duplicates
+export function parseTags(input) {
+    return [...new Set(input.split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+// Every search term has to be found in the name, description, pattern or
+// tags, "#tag" only matches tags exactly
+export function matchesQuery(entry, query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const tags = (entry.tags || []).map(tag => tag.toLowerCase());
+    const text = [entry.name, entry.description, entry.regex, ...tags].join('\n').toLowerCase();
+
+    return terms.every(term => (term.startsWith('#') && term.length > 1
+        ? tags.includes(term.slice(1))
+        : text.includes(term)));
+}
+
+// Saved patterns in IndexedDB. An entry holds the complete editor state
+// (see RegexApp.getState) plus name, description, tags and timestamps.
+export class PatternLibrary {
+    constructor() {
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            };
+            this.db = promisify(request);
+        }
+        return this.db;
+    }
+
+    async store(mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    }
+
+    // Most recently changed first
+    async list(query = '') {
+        const entries = await promisify((await this.store()).getAll());
+
+        return entries
+            .filter(entry => matchesQuery(entry, query))
+            .sort((a, b) => b.updated - a.updated);
+    }
+
+    async get(id) {
+        return promisify((await this.store()).get(id));
+    }
+
+    // Creates the entry if it has no id yet, returns the id
+    async save(entry) {
+        const now = Date.now();
+        const record = { ...entry, created: entry.created || now, updated: now };
+
+        if (record.id === undefined) {
+            delete record.id;
+        }
+
+        return promisify((await this.store('readwrite')).put(record));
+    }
+
+    async duplicate(id) {
+        const entry = await this.get(id);
+        delete entry.id;
+        delete entry.created;
+
+        return this.save({ ...entry, name: `${entry.name} (Kopie)` });
+    }
+
+    async delete(id) {
+        return promisify((await this.store('readwrite')).delete(id));
+    }
+}
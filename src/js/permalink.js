@@ -0,0 +1,51 @@
+// src/js/permalink.js
+import { normalizeEntry } from './workspace-file.js';
+
+// Links are shared as #share=<base64url of the deflated JSON state>, nothing leaves the browser
+const HASH_PREFIX = '#share=';
+
+// Longer links get cut off by some mail and chat clients
+export const MAX_PERMALINK_LENGTH = 2000;
+
+async function transform(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+// Empty fields are left out to keep the link short, see RegexApp.applyState
+export async function encodePermalink(state) {
+    const compact = Object.fromEntries(Object.entries(state).filter(([, value]) =>
+        value !== '' && value !== false && !(Array.isArray(value) && value.length === 0)));
+    const bytes = new TextEncoder().encode(JSON.stringify(compact));
+
+    return HASH_PREFIX + toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')));
+}
+
+// Returns null if the hash is no permalink, throws if it is damaged. Anyone
+// can craft a link, so the state is sanitized like an imported workspace.
+export async function decodePermalink(hash) {
+    if (!hash.startsWith(HASH_PREFIX)) {
+        return null;
+    }
+
+    const bytes = await transform(fromBase64Url(hash.slice(HASH_PREFIX.length)), new DecompressionStream('deflate-raw'));
+    const state = JSON.parse(new TextDecoder().decode(bytes));
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        throw new Error('Permalink does not contain a workspace');
+    }
+
+    return normalizeEntry(state, []);
+}
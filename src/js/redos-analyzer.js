@@ -0,0 +1,647 @@
+// src/js/redos-analyzer.js
+import { walkAst } from './regex-parser.js';
+import { POSIX_CLASSES } from './regex-translator.js';
+import { CharSet } from './char-set.js';
+
+const DIGIT = CharSet.range(0x30, 0x39);
+const WORD = new CharSet([[0x30, 0x39], [0x41, 0x5A], [0x5F, 0x5F], [0x61, 0x7A]]);
+const SPACE = new CharSet([
+    [0x09, 0x0D], [0x20, 0x20], [0xA0, 0xA0], [0x1680, 0x1680], [0x2000, 0x200A],
+    [0x2028, 0x2029], [0x202F, 0x202F], [0x205F, 0x205F], [0x3000, 0x3000], [0xFEFF, 0xFEFF]
+]);
+const HORIZONTAL_SPACE = new CharSet([
+    [0x09, 0x09], [0x20, 0x20], [0xA0, 0xA0], [0x1680, 0x1680], [0x180E, 0x180E],
+    [0x2000, 0x200A], [0x202F, 0x202F], [0x205F, 0x205F], [0x3000, 0x3000]
+]);
+const VERTICAL_SPACE = new CharSet([[0x0A, 0x0D], [0x85, 0x85], [0x2028, 0x2029]]);
+const LINE_TERMINATORS = CharSet.of(0x0A, 0x0D, 0x2028, 0x2029);
+
+const CHARACTER_TYPE_SETS = {
+    d: DIGIT,
+    w: WORD,
+    s: SPACE,
+    h: HORIZONTAL_SPACE,
+    v: VERTICAL_SPACE,
+    R: VERTICAL_SPACE,
+    N: CharSet.of(0x0A).negate()
+};
+
+// Ratings from harmless to critical, polynomial issues are rated by their degree
+export const SEVERITY_LEVELS = ['none', 'low', 'medium', 'high'];
+
+// Characters tried as the end of the attack string, it has to make the match fail.
+// The probe is short, but it still backtracks, so analyze() runs in a worker
+// (see RegexEngine.analyzeReDoS)
+const SUFFIX_CANDIDATES = ['!', '\n', '\u0000', 'x', '0', ' ', '_', '-', 'a'];
+
+// Scanning the BMP for a \p{...} property is expensive, so the sets are cached
+const propertySets = new Map();
+
+// Static analysis of a pattern for catastrophic backtracking (ReDoS):
+// - nested quantifiers whose inner and outer loop can consume the same text
+// - alternatives under a quantifier that can match the same text
+// - adjacent quantifiers over overlapping sets, including the implicit retry
+//   at every start position of an unanchored search
+// Every issue comes with the offending span and an attack string that makes
+// the pattern fail after a long run of ambiguous input.
+export class ReDoSAnalyzer {
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    // verify = false skips running the pattern, e.g. when the probe timed out
+    analyze(pattern, flags = '', flavor = 'javascript', verify = true) {
+        // RE2 does not backtrack, Go's regexp matches in linear time
+        if (flavor === 'golang') {
+            return { severity: 'none', linear: true, issues: [] };
+        }
+
+        this.pattern = pattern;
+        this.flags = flags;
+        this.flavor = flavor;
+        this.ignoreCase = flags.includes('i');
+        this.dotAll = flags.includes('s');
+        this.ast = this.engine.parse(pattern, flavor, flags);
+
+        this.parents = new Map();
+        walkAst(this.ast, (node, parent) => this.parents.set(node, parent));
+
+        const issues = [];
+        walkAst(this.ast, node => {
+            if (this.isBacktrackingLoop(node) && this.canFailAfter(node)) {
+                issues.push(...this.findExponential(node));
+            }
+        });
+        // Polynomial findings inside an exponential one add nothing
+        const exponential = issues.slice();
+        issues.push(...this.findPolynomial().filter(issue => {
+            return !exponential.some(other => issue.start >= other.start && issue.end <= other.end);
+        }));
+
+        const verified = issues.filter(issue => (verify ? this.completeAttack(issue) : this.assumeAttack(issue)));
+        const severity = verified.reduce((worst, issue) => {
+            return SEVERITY_LEVELS.indexOf(issue.severity) > SEVERITY_LEVELS.indexOf(worst) ? issue.severity : worst;
+        }, 'none');
+
+        return { severity, linear: false, issues: verified };
+    }
+
+    // Structure
+
+    isBacktrackingLoop(node) {
+        return node.type === 'Quantifier' && node.max === Infinity && !node.possessive && !this.isInsideAtomic(node);
+    }
+
+    // Inside a loop a bounded repeat like \d{1,3} splits the input just as well
+    isVariableRepeat(node) {
+        return node.type === 'Quantifier' && node.max > node.min && !node.possessive && !this.isInsideAtomic(node);
+    }
+
+    isInsideAtomic(node) {
+        for (let parent = this.parents.get(node); parent; parent = this.parents.get(parent)) {
+            if (parent.type === 'Group' && parent.kind === 'atomic') {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    isLookaround(node) {
+        return node.type === 'Group' && node.kind.includes('look');
+    }
+
+    // Backtracking only explodes when something after the construct can fail
+    canFailAfter(node) {
+        let child = node;
+
+        for (let parent = this.parents.get(node); parent; parent = this.parents.get(parent)) {
+            if (parent.type === 'Sequence') {
+                const following = parent.elements.slice(parent.elements.indexOf(child) + 1);
+                if (following.some(element => this.minLength(element) > 0 || this.isAssertion(element))) {
+                    return true;
+                }
+            }
+            if (this.isLookaround(parent)) {
+                return true;
+            }
+            child = parent;
+        }
+
+        return false;
+    }
+
+    isAssertion(node) {
+        if (node.type === 'Anchor') {
+            return node.kind !== 'keep';
+        }
+        return this.isLookaround(node) || node.type === 'Backreference';
+    }
+
+    minLength(node) {
+        switch (node.type) {
+            case 'Sequence':
+                return node.elements.reduce((total, element) => total + this.minLength(element), 0);
+            case 'Alternation':
+                return Math.min(...node.alternatives.map(alternative => this.minLength(alternative)));
+            case 'Group':
+                return this.isLookaround(node) ? 0 : this.minLength(node.body);
+            case 'Quantifier':
+                return node.min * this.minLength(node.target);
+            case 'Anchor':
+            case 'Comment':
+            case 'InlineFlags':
+            case 'Backreference':
+                return 0;
+            default:
+                return 1;
+        }
+    }
+
+    // Character sets
+
+    // The set of a node that matches exactly one character, otherwise null
+    atomSet(node) {
+        let set;
+
+        switch (node.type) {
+            case 'Character':
+                set = CharSet.of(node.codePoint);
+                break;
+            case 'CharacterType':
+                set = this.characterTypeSet(node.kind);
+                break;
+            case 'Dot':
+                set = this.dotAll ? CharSet.all() : LINE_TERMINATORS.negate();
+                break;
+            case 'UnicodeProperty':
+                set = this.propertySet(node);
+                break;
+            case 'PosixClass':
+                set = this.posixSet(node);
+                break;
+            case 'CharacterClass':
+                set = node.items.reduce((union, item) => union.union(this.classItemSet(item)), CharSet.empty());
+                set = node.negated ? set.negate() : set;
+                break;
+            case 'Group':
+                return node.kind === 'capture' || node.kind === 'named' || node.kind === 'nonCapture'
+                    ? this.atomSet(node.body)
+                    : null;
+            case 'Sequence':
+                return node.elements.length === 1 ? this.atomSet(node.elements[0]) : null;
+            default:
+                return null;
+        }
+
+        return this.ignoreCase ? set.caseInsensitive() : set;
+    }
+
+    classItemSet(item) {
+        if (item.type === 'Range') {
+            return CharSet.range(item.from.codePoint, item.to.codePoint);
+        }
+        return this.atomSet(item) || CharSet.empty();
+    }
+
+    characterTypeSet(kind) {
+        const set = CHARACTER_TYPE_SETS[kind.toLowerCase()] || CHARACTER_TYPE_SETS[kind];
+        // Upper case is the negation: \D, \W, \S, \H, \V
+        return kind === kind.toUpperCase() && kind !== 'R' && kind !== 'N' ? set.negate() : set;
+    }
+
+    propertySet(node) {
+        const body = node.value !== null ? `${node.name}=${node.value}` : node.name;
+
+        if (!propertySets.has(body)) {
+            let set = CharSet.all();
+            for (const candidate of [body, `Script=${body}`]) {
+                try {
+                    const regex = new RegExp(`^\\p{${candidate}}$`, 'u');
+                    set = CharSet.fromPredicate(char => regex.test(char));
+                    break;
+                } catch (error) {
+                    // Unknown to JavaScript, try the next spelling
+                }
+            }
+            propertySets.set(body, set);
+        }
+
+        const set = propertySets.get(body);
+        return node.negated ? set.negate() : set;
+    }
+
+    posixSet(node) {
+        const content = POSIX_CLASSES[node.name];
+        if (!content) {
+            return CharSet.empty();
+        }
+
+        const regex = new RegExp(`^[${content}]$`);
+        const set = CharSet.fromPredicate(char => regex.test(char), 0x7F);
+        return node.negated ? set.negate() : set;
+    }
+
+    // Characters c for which the node can match a run of c's, e.g. "x" for x+x+
+    // but nothing for (?:[a-z]+\.) where every repetition needs a "."
+    repeatSet(node) {
+        const atom = this.atomSet(node);
+        if (atom) {
+            return atom;
+        }
+
+        switch (node.type) {
+            case 'Sequence': {
+                const required = node.elements.filter(element => this.minLength(element) > 0);
+                if (required.length === 0) {
+                    return node.elements.reduce((union, element) => union.union(this.repeatSet(element)), CharSet.empty());
+                }
+                return required.reduce((set, element) => set.intersect(this.repeatSet(element)), CharSet.all());
+            }
+            case 'Alternation':
+                return node.alternatives.reduce((union, alternative) => union.union(this.repeatSet(alternative)), CharSet.empty());
+            case 'Group':
+                return this.isLookaround(node) ? CharSet.empty() : this.repeatSet(node.body);
+            case 'Quantifier':
+                return this.repeatSet(node.target);
+            default:
+                return CharSet.empty();
+        }
+    }
+
+    // Exponential backtracking
+
+    findExponential(loop) {
+        const issues = [];
+
+        this.findExposed(loop.target).forEach(({ node, pumpSet }) => {
+            if (this.isVariableRepeat(node) && node !== loop) {
+                const pumpChar = pumpSet.intersect(this.repeatSet(node.target)).sample();
+                if (pumpChar === null) return;
+
+                issues.push(this.createIssue('nestedQuantifier', 'high', loop, loop, {
+                    complexity: 'O(2^n)',
+                    message: `Nested quantifier: ${node.raw} inside ${loop.raw} can split "${pumpChar}${pumpChar}" across iterations in several ways, backtracking is exponential`,
+                    pump: this.sampleString(loop.target, pumpChar) || pumpChar
+                }));
+            }
+
+            if (node.type === 'Alternation') {
+                const ambiguity = this.findAmbiguousAlternatives(node);
+                if (!ambiguity) return;
+
+                const overrides = new Map([[node, ambiguity.text]]);
+                const message = ambiguity.parts
+                    ? `Alternative ${ambiguity.second.raw} can also be matched as ${ambiguity.parts.map(part => part.raw).join(' + ')}`
+                    : `Alternatives ${ambiguity.first.raw || '(empty)'} and ${ambiguity.second.raw || '(empty)'} can both match "${ambiguity.text}"`;
+                issues.push(this.createIssue('ambiguousAlternation', 'high', loop, loop, {
+                    complexity: 'O(2^n)',
+                    message: `${message} under the quantifier in ${loop.raw}, backtracking is exponential`,
+                    pump: this.sampleString(loop.target, null, overrides)
+                }));
+            }
+        });
+
+        // One finding per loop is enough
+        return issues.slice(0, 1);
+    }
+
+    // Nodes inside a loop body that are reachable without leaving it through a
+    // lookaround or atomic group. pumpSet narrows down the characters that the
+    // required elements next to a nested quantifier accept.
+    findExposed(node, pumpSet = CharSet.all(), found = []) {
+        switch (node.type) {
+            case 'Quantifier':
+                found.push({ node, pumpSet });
+                this.findExposed(node.target, pumpSet, found);
+                break;
+            case 'Alternation':
+                found.push({ node, pumpSet });
+                node.alternatives.forEach(alternative => this.findExposed(alternative, pumpSet, found));
+                break;
+            case 'Group':
+                if (!this.isLookaround(node) && node.kind !== 'atomic') {
+                    this.findExposed(node.body, pumpSet, found);
+                }
+                break;
+            case 'Sequence':
+                node.elements.forEach(element => {
+                    let set = pumpSet;
+                    for (const sibling of node.elements) {
+                        if (sibling === element || this.minLength(sibling) === 0) continue;
+
+                        // A required sibling has to accept the pumped character too
+                        set = set.intersect(this.repeatSet(sibling));
+                    }
+                    if (!set.isEmpty()) {
+                        this.findExposed(element, set, found);
+                    } else if (element.type === 'Alternation' || element.type === 'Group') {
+                        // Ambiguous alternatives do not depend on the siblings
+                        this.findExposed(element, CharSet.empty(), found);
+                    }
+                });
+                break;
+        }
+        return found;
+    }
+
+    // Two alternatives that match a common fixed-length string, or one that
+    // can be assembled from repeats of the shorter ones, e.g. aa in a|aa or
+    // ab in a|ab|b
+    findAmbiguousAlternatives(alternation) {
+        const sequences = alternation.alternatives.map(alternative => this.atomSequence(alternative));
+
+        for (let i = 0; i < sequences.length; i++) {
+            for (let j = i + 1; j < sequences.length; j++) {
+                const a = sequences[i];
+                const b = sequences[j];
+                if (!a || !b || a.length !== b.length || a.length === 0) continue;
+
+                const common = a.map((set, k) => set.intersect(b[k]));
+                if (common.every(set => !set.isEmpty())) {
+                    return {
+                        first: alternation.alternatives[i],
+                        second: alternation.alternatives[j],
+                        text: common.map(set => set.sample()).join(''),
+                        parts: null
+                    };
+                }
+            }
+        }
+
+        for (let j = 0; j < sequences.length; j++) {
+            const assembly = this.assemble(sequences, j);
+            if (assembly) {
+                return {
+                    first: alternation.alternatives[assembly.parts[0]],
+                    second: alternation.alternatives[j],
+                    text: assembly.sets.map(set => set.sample()).join(''),
+                    parts: assembly.parts.map(index => alternation.alternatives[index])
+                };
+            }
+        }
+
+        return null;
+    }
+
+    // Splits alternative j into two or more shorter alternatives that can match
+    // the same text. Returns their indices and the common sets, or null.
+    assemble(sequences, j) {
+        const target = sequences[j];
+        if (!target || target.length < 2) {
+            return null;
+        }
+
+        // paths[k]: a way to match the first k characters of the target
+        const paths = [{ parts: [], sets: [] }];
+        for (let k = 0; k < target.length; k++) {
+            if (!paths[k]) continue;
+
+            sequences.forEach((piece, i) => {
+                if (!piece || piece.length === 0 || piece.length >= target.length || k + piece.length > target.length) return;
+                if (paths[k + piece.length]) return;
+
+                const sets = piece.map((set, offset) => set.intersect(target[k + offset]));
+                if (sets.every(set => !set.isEmpty())) {
+                    paths[k + piece.length] = { parts: [...paths[k].parts, i], sets: [...paths[k].sets, ...sets] };
+                }
+            });
+        }
+
+        return paths[target.length] || null;
+    }
+
+    // The sets of a fixed-length node, one per character, or null
+    atomSequence(node) {
+        const atom = this.atomSet(node);
+        if (atom) {
+            return [atom];
+        }
+
+        switch (node.type) {
+            case 'Sequence': {
+                const parts = node.elements.map(element => this.atomSequence(element));
+                return parts.every(Boolean) ? parts.flat() : null;
+            }
+            case 'Group':
+                return ['capture', 'named', 'nonCapture'].includes(node.kind) ? this.atomSequence(node.body) : null;
+            case 'Quantifier': {
+                const part = node.min === node.max ? this.atomSequence(node.target) : null;
+                return part ? Array.from({ length: node.min }, () => part).flat() : null;
+            }
+            case 'Comment':
+            case 'InlineFlags':
+                return [];
+            default:
+                return null;
+        }
+    }
+
+    // Polynomial backtracking
+
+    findPolynomial() {
+        const issues = [];
+        const leading = new Set(this.getLeadingQuantifiers());
+        const chained = new Set();
+
+        walkAst(this.ast, node => {
+            if (node.type !== 'Sequence') return;
+
+            node.elements.forEach((element, i) => {
+                if (!this.isBacktrackingLoop(element) || chained.has(element)) return;
+
+                const chain = this.findChain(node.elements, i);
+                chain.quantifiers.forEach(quantifier => chained.add(quantifier));
+
+                // An unanchored search retries the first quantifier at every position
+                const degree = chain.quantifiers.length + (leading.has(element) ? 1 : 0);
+                const last = chain.quantifiers[chain.quantifiers.length - 1];
+                if (degree < 2 || !this.canFailAfter(last)) return;
+
+                const span = { start: element.start, end: last.end };
+                const list = chain.quantifiers.map(quantifier => quantifier.raw).join(', ');
+                const message = chain.quantifiers.length > 1
+                    ? `Quantifiers ${list} can all consume "${chain.pump}", backtracking is polynomial (O(n^${degree}))`
+                    : `${element.raw} is retried at every start position of the unanchored search, a failing match takes quadratic time`;
+
+                issues.push(this.createIssue(chain.quantifiers.length > 1 ? 'overlappingQuantifiers' : 'unanchoredQuantifier',
+                    degree > 2 ? 'medium' : 'low', element, span, {
+                        complexity: `O(n^${degree})`,
+                        message,
+                        pump: chain.pump,
+                        degree
+                    }));
+            });
+        });
+
+        return issues;
+    }
+
+    // Follows a sequence from a quantifier as long as the following elements
+    // can consume the same characters
+    findChain(elements, index) {
+        const first = elements[index];
+        const quantifiers = [first];
+        let set = this.repeatSet(first.target);
+        let pumpSet = set;
+
+        for (let i = index + 1; i < elements.length; i++) {
+            const element = elements[i];
+
+            if (this.isBacktrackingLoop(element)) {
+                const overlap = set.intersect(this.repeatSet(element.target));
+                if (overlap.isEmpty()) break;
+                quantifiers.push(element);
+                set = overlap;
+                pumpSet = overlap;
+                continue;
+            }
+            if (this.minLength(element) === 0 && !this.isAssertion(element)) {
+                continue;
+            }
+
+            const overlap = set.intersect(this.repeatSet(element));
+            if (overlap.isEmpty()) break;
+            set = overlap;
+        }
+
+        return { quantifiers, pump: pumpSet.intersect(set).sample() || pumpSet.sample() || '' };
+    }
+
+    // Quantifiers an unanchored search can start with
+    getLeadingQuantifiers() {
+        if (/[yA]/.test(this.flags) && this.flavor !== 'xregexp') {
+            return [];
+        }
+
+        const body = this.ast.body;
+        const branches = body.type === 'Alternation' ? body.alternatives : [body];
+        const leading = [];
+
+        branches.forEach(branch => {
+            const elements = branch.type === 'Sequence' ? branch.elements : [branch];
+            for (const element of elements) {
+                if (element.type === 'Anchor' && element.kind !== 'wordBoundary' && element.kind !== 'nonWordBoundary') break;
+                if (element.type === 'Quantifier') {
+                    leading.push(element);
+                }
+                if (this.minLength(element) > 0) break;
+            }
+        });
+
+        return leading;
+    }
+
+    // Attack strings
+
+    // node is where the attack starts, span the part of the pattern to highlight
+    createIssue(type, severity, node, span, details) {
+        return {
+            type,
+            severity,
+            start: span.start,
+            end: span.end,
+            complexity: details.complexity,
+            message: details.message,
+            attack: {
+                prefix: this.prefixFor(node),
+                pump: details.pump,
+                suffix: '',
+                repeat: severity === 'high' ? 30 : (details.degree > 2 ? 3000 : 50000)
+            }
+        };
+    }
+
+    // Text that leads up to a node, built from the elements before it
+    prefixFor(node) {
+        let prefix = '';
+        let child = node;
+
+        for (let parent = this.parents.get(node); parent; parent = this.parents.get(parent)) {
+            if (parent.type === 'Sequence') {
+                const before = parent.elements.slice(0, parent.elements.indexOf(child));
+                prefix = before.map(element => this.sampleString(element)).join('') + prefix;
+            }
+            child = parent;
+        }
+
+        return prefix;
+    }
+
+    // A short string matched by the node; atoms take preferred if they accept it
+    sampleString(node, preferred = null, overrides = new Map()) {
+        if (overrides.has(node)) {
+            return overrides.get(node);
+        }
+
+        const atom = this.atomSet(node);
+        if (atom) {
+            return preferred !== null && atom.has(preferred.codePointAt(0)) ? preferred : (atom.sample() || '');
+        }
+
+        switch (node.type) {
+            case 'Sequence':
+                return node.elements.map(element => this.sampleString(element, preferred, overrides)).join('');
+            case 'Alternation':
+                return this.sampleString(node.alternatives[0], preferred, overrides);
+            case 'Group':
+                return this.isLookaround(node) ? '' : this.sampleString(node.body, preferred, overrides);
+            case 'Quantifier':
+                return this.sampleString(node.target, preferred, overrides).repeat(node.min);
+            default:
+                return '';
+        }
+    }
+
+    // Picks a suffix that makes the whole pattern fail; issues without one
+    // cannot be triggered and are dropped
+    completeAttack(issue) {
+        let regex;
+        try {
+            regex = this.engine.createRegex(this.pattern, this.flags.replace(/[gy]/g, ''), this.flavor);
+        } catch (error) {
+            // Cannot be verified offline
+            return this.assumeAttack(issue);
+        }
+
+        const { prefix, pump } = issue.attack;
+        if (!pump) {
+            return false;
+        }
+
+        // Short enough to stay fast even when the pattern is exponential
+        const probe = prefix + pump.repeat(issue.severity === 'high' ? 8 : 12);
+        const suffix = SUFFIX_CANDIDATES.find(candidate => this.failsUntilEnd(regex, probe + candidate));
+        if (suffix === undefined) {
+            return false;
+        }
+
+        issue.attack.suffix = suffix;
+        return true;
+    }
+
+    // An unanchored X*$ always ends with an empty match at the end of the input,
+    // every start position before it has failed and backtracked all the same
+    failsUntilEnd(regex, input) {
+        const match = regex.exec(input);
+        return !match || (match[0] === '' && match.index === input.length);
+    }
+
+    // Keeps the finding with a generic suffix
+    assumeAttack(issue) {
+        issue.attack.suffix = '!';
+        return Boolean(issue.attack.pump);
+    }
+}
+
+// The attack string of an issue as a JavaScript expression, e.g. "a".repeat(30) + "!"
+export function formatAttack(attack) {
+    const parts = [];
+    if (attack.prefix) parts.push(JSON.stringify(attack.prefix));
+    parts.push(`${JSON.stringify(attack.pump)}.repeat(${attack.repeat})`);
+    if (attack.suffix) parts.push(JSON.stringify(attack.suffix));
+    return parts.join(' + ');
+}
+
+export function buildAttackString(attack) {
+    return attack.prefix + attack.pump.repeat(attack.repeat) + attack.suffix;
+}
@@ -0,0 +1,650 @@
+// src/js/regex-debugger.js
+import { walkAst } from './regex-parser.js';
+import { POSIX_CLASSES } from './regex-translator.js';
+
+// Recording stops here, the pattern then counts as catastrophic backtracking
+export const MAX_STEPS = 100000;
+
+const CHARACTER_TYPE_PATTERNS = {
+    d: /\d/,
+    w: /\w/,
+    s: /\s/,
+    h: /[\t \u00A0\u1680\u180E\u2000-\u200A\u202F\u205F\u3000]/,
+    v: /[\n\v\f\r\u0085\u2028\u2029]/
+};
+
+// Python's \d, \w and \s without re.ASCII
+const UNICODE_TYPE_PATTERNS = {
+    d: /\p{Nd}/u,
+    w: /[\p{L}\p{N}_]/u,
+    s: /\s/u
+};
+
+// Nodes that always consume exactly one character
+const SINGLE_CHARACTER_NODES = ['Character', 'CharacterType', 'Dot', 'CharacterClass', 'UnicodeProperty', 'PosixClass'];
+
+// Inline flag letters and the matcher flags they switch
+const INLINE_FLAGS = {
+    i: 'ignoreCase',
+    m: 'multiline',
+    s: 'dotAll',
+    U: 'ungreedy',
+    a: 'ascii'
+};
+
+// Aufzeichnung abgebrochen, zu viele Schritte
+class StepLimitError extends Error {
+    constructor() {
+        super(`Stopped after ${MAX_STEPS} steps`);
+        this.name = 'StepLimitError';
+    }
+}
+
+// A backtracking matcher over the parser AST that records every step:
+// attempts, matched and failed tokens, backtracking and the final match.
+// It follows the source flavor's semantics, not the translated JavaScript pattern.
+export class RegexDebugger {
+    constructor(engine) {
+        this.engine = engine;
+        this.propertyPatterns = new Map();
+    }
+
+    debug(pattern, flags, testString, flavor = 'javascript') {
+        if (flavor === 'golang') {
+            throw new Error('RE2 does not backtrack, there are no steps to trace');
+        }
+
+        this.ast = this.engine.parse(pattern, flavor, flags);
+        this.flavor = flavor;
+        this.input = testString;
+        this.unicode = flags.includes('u') || flags.includes('v') || (flavor !== 'javascript' && flavor !== 'xregexp');
+        this.lineTerminators = flavor === 'javascript' || flavor === 'xregexp' ? '\n\r\u2028\u2029' : '\n';
+        this.dollarEndOnly = flavor === 'pcre' && flags.includes('D');
+        this.groupIndexes = new Map();
+        this.steps = [];
+
+        walkAst(this.ast, (node) => {
+            if (node.type === 'Group' && node.kind === 'named') {
+                this.groupIndexes.set(node.name, node.index);
+            }
+        });
+
+        const initialFlags = {
+            ignoreCase: flags.includes('i'),
+            multiline: flags.includes('m'),
+            dotAll: flags.includes('s'),
+            ungreedy: flavor === 'pcre' && flags.includes('U'),
+            ascii: flags.includes('a')
+        };
+        // Sticky (y) and PCRE's anchored (A) only try the position where the search starts
+        const anchored = (flags.includes('y') && flavor !== 'pcre') || (flags.includes('A') && flavor === 'pcre');
+        const global = flags.includes('g');
+
+        const matches = [];
+        let aborted = null;
+        let searchFrom = 0;
+
+        try {
+            while (searchFrom <= testString.length) {
+                const match = this.search(searchFrom, initialFlags, anchored);
+                if (!match) break;
+
+                matches.push(match);
+                if (!global) break;
+
+                // Same rule as findMatches(): an empty match moves on by one
+                searchFrom = match.end > match.start ? match.end : match.end + 1;
+            }
+        } catch (error) {
+            if (error instanceof StepLimitError) {
+                aborted = 'steps';
+            } else if (error instanceof RangeError) {
+                // Deep recursion, e.g. .* over a very long line
+                aborted = 'recursion';
+            } else {
+                throw error;
+            }
+        }
+
+        return { steps: this.steps, matches, aborted };
+    }
+
+    search(from, flags, anchored) {
+        this.searchStart = from;
+
+        for (let start = from; start <= this.input.length; start++) {
+            this.attemptStart = start;
+            this.captures = [];
+            this.keep = null;
+            this.record('attempt', this.ast, start, `Match attempt at position ${start}`);
+
+            let end = null;
+            const found = this.matchNode(this.ast.body, start, flags, (position) => {
+                end = position;
+                return true;
+            });
+
+            if (found) {
+                const matchStart = this.keep !== null ? this.keep : start;
+                this.record('success', this.ast, end, `Match found: ${JSON.stringify(this.input.slice(matchStart, end))} at ${matchStart}-${end}`);
+                return { start: matchStart, end, captures: this.captures.slice() };
+            }
+
+            if (anchored) break;
+        }
+
+        return null;
+    }
+
+    record(type, node, position, description) {
+        if (this.steps.length >= MAX_STEPS) {
+            throw new StepLimitError();
+        }
+
+        this.steps.push({
+            type,
+            patternStart: node.start,
+            patternEnd: node.end,
+            position,
+            matchStart: this.attemptStart,
+            description
+        });
+    }
+
+    // Every matcher calls next(position) for each way it can match and
+    // returns true as soon as the continuation accepts
+
+    matchNode(node, pos, flags, next) {
+        switch (node.type) {
+            case 'Sequence':
+                return this.matchElements(node.elements, 0, pos, flags, next);
+            case 'Alternation':
+                return this.matchAlternation(node, pos, flags, next);
+            case 'Group':
+                return this.matchGroup(node, pos, flags, next);
+            case 'Quantifier':
+                return this.matchQuantifier(node, pos, flags, next);
+            case 'Anchor':
+                return this.matchAnchor(node, pos, flags, next);
+            case 'Backreference':
+                return this.matchBackreference(node, pos, flags, next);
+            case 'Comment':
+            case 'InlineFlags':
+                return next(pos);
+            case 'CharacterType':
+                if (node.kind === 'R') {
+                    return this.matchNewlineSequence(node, pos, next);
+                }
+                return this.matchCharacter(node, pos, flags, next);
+            default:
+                return this.matchCharacter(node, pos, flags, next);
+        }
+    }
+
+    // (?i) changes the flags for the rest of the enclosing sequence
+    matchElements(elements, index, pos, flags, next) {
+        if (index === elements.length) {
+            return next(pos);
+        }
+
+        const element = elements[index];
+        if (element.type === 'InlineFlags') {
+            return this.matchElements(elements, index + 1, pos, this.applyFlags(flags, element.enable, element.disable), next);
+        }
+
+        return this.matchNode(element, pos, flags, (position) => this.matchElements(elements, index + 1, position, flags, next));
+    }
+
+    matchAlternation(node, pos, flags, next) {
+        return node.alternatives.some((alternative, i) => {
+            if (i > 0) {
+                this.record('backtrack', alternative, pos, `Backtracking, trying alternative ${i + 1} of ${node.alternatives.length}`);
+            }
+            return this.matchNode(alternative, pos, flags, next);
+        });
+    }
+
+    matchGroup(node, pos, flags, next) {
+        switch (node.kind) {
+            case 'capture':
+            case 'named':
+                return this.matchNode(node.body, pos, flags, (position) => {
+                    const previous = this.captures[node.index];
+                    this.captures[node.index] = [pos, position];
+                    if (next(position)) {
+                        return true;
+                    }
+                    this.captures[node.index] = previous;
+                    return false;
+                });
+            case 'flags':
+                return this.matchNode(node.body, pos, this.applyFlags(flags, node.enable, node.disable), next);
+            case 'lookahead':
+            case 'negativeLookahead':
+            case 'lookbehind':
+            case 'negativeLookbehind':
+                return this.matchLookaround(node, pos, flags, next);
+            case 'atomic':
+                return this.matchAtomic(node, pos, (inner) => this.matchNode(node.body, pos, flags, inner), next);
+            default:
+                return this.matchNode(node.body, pos, flags, next);
+        }
+    }
+
+    matchLookaround(node, pos, flags, next) {
+        const negative = node.kind.startsWith('negative');
+        const saved = { captures: this.captures.slice(), keep: this.keep };
+        let found;
+
+        if (node.kind === 'lookahead' || node.kind === 'negativeLookahead') {
+            found = this.matchNode(node.body, pos, flags, () => true);
+        } else {
+            // Try every start position from which the body can end exactly here
+            const earliest = Math.max(0, pos - this.maxLength(node.body));
+            found = false;
+            for (let from = pos; from >= earliest && !found; from--) {
+                found = this.matchNode(node.body, from, flags, (position) => position === pos);
+            }
+        }
+
+        if (found === negative) {
+            this.restore(saved);
+            this.record('fail', node, pos, `${this.describeGroupKind(node)} failed at position ${pos}`);
+            return false;
+        }
+
+        // Captures from a negative lookaround never survive
+        if (negative) {
+            this.restore(saved);
+        }
+        this.record('match', node, pos, `${this.describeGroupKind(node)} succeeded at position ${pos}`);
+
+        if (next(pos)) {
+            return true;
+        }
+        this.restore(saved);
+        return false;
+    }
+
+    // Matches once and never retries other ways of matching the inside
+    matchAtomic(node, pos, run, next) {
+        const saved = { captures: this.captures.slice(), keep: this.keep };
+        let end = null;
+
+        const found = run((position) => {
+            end = position;
+            return true;
+        });
+        if (!found) {
+            return false;
+        }
+
+        if (next(end)) {
+            return true;
+        }
+
+        this.restore(saved);
+        this.record('backtrack', node, pos, `Backtracking, ${node.raw} is atomic and gives nothing back`);
+        return false;
+    }
+
+    matchQuantifier(node, pos, flags, next) {
+        const target = node.target;
+        const simple = SINGLE_CHARACTER_NODES.includes(target.type) && !(target.type === 'CharacterType' && target.kind === 'R');
+        const repeat = (lazy, inner) => simple
+            ? this.matchSimpleRepeat(node, pos, flags, lazy, inner)
+            : this.matchRepeat(node, 0, pos, flags, lazy, inner);
+
+        if (node.possessive) {
+            return this.matchAtomic(node, pos, (inner) => repeat(false, inner), next);
+        }
+
+        // PCRE's U flag swaps greedy and lazy
+        return repeat(flags.ungreedy ? !node.lazy : node.lazy, next);
+    }
+
+    matchRepeat(node, count, pos, flags, lazy, next) {
+        let entered = false;
+
+        const more = () => count < node.max && this.matchNode(node.target, pos, flags, (position) => {
+            // Another empty repetition would loop forever
+            if (position === pos && count >= node.min) {
+                return false;
+            }
+            entered = true;
+            return this.matchRepeat(node, count + 1, position, flags, lazy, next);
+        });
+        const stop = () => count >= node.min && next(pos);
+
+        if (lazy) {
+            if (stop()) {
+                return true;
+            }
+            if (count >= node.min && count < node.max) {
+                this.record('backtrack', node, pos, `Backtracking, lazy ${node.raw} expands to ${count + 1} repetition${count + 1 === 1 ? '' : 's'}`);
+            }
+            return more();
+        }
+
+        if (more()) {
+            return true;
+        }
+        if (entered && count >= node.min) {
+            this.record('backtrack', node, pos, `Backtracking, ${node.raw} gives up a repetition and continues with ${count}`);
+        }
+        return stop();
+    }
+
+    // A quantified single character needs no recursion per repetition, so .* also works on long lines
+    matchSimpleRepeat(node, pos, flags, lazy, next) {
+        // positions[n] is the position after n repetitions
+        const positions = [pos];
+        const advance = () => {
+            const last = positions[positions.length - 1];
+            const char = this.charAt(last);
+
+            if (char === null || !this.characterMatches(node.target, char, flags)) {
+                this.record('fail', node.target, last, char === null
+                    ? `${node.target.raw} failed, end of the subject reached`
+                    : `${node.target.raw} failed, ${JSON.stringify(char)} does not match`);
+                return false;
+            }
+
+            this.record('match', node.target, last + char.length, `${node.target.raw} matched ${JSON.stringify(char)} at position ${last}`);
+            positions.push(last + char.length);
+            return true;
+        };
+
+        while (positions.length - 1 < node.min) {
+            if (!advance()) return false;
+        }
+
+        if (lazy) {
+            for (;;) {
+                const count = positions.length - 1;
+                if (next(positions[count])) {
+                    return true;
+                }
+                if (count >= node.max) {
+                    return false;
+                }
+                this.record('backtrack', node, positions[count], `Backtracking, lazy ${node.raw} expands to ${count + 1} repetition${count + 1 === 1 ? '' : 's'}`);
+                if (!advance()) {
+                    return false;
+                }
+            }
+        }
+
+        while (positions.length - 1 < node.max && advance()) {
+            // Greedy: take as many as possible first
+        }
+
+        for (let count = positions.length - 1; count >= node.min; count--) {
+            if (count < positions.length - 1) {
+                this.record('backtrack', node, positions[count], `Backtracking, ${node.raw} gives up a repetition and continues with ${count}`);
+            }
+            if (next(positions[count])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    matchCharacter(node, pos, flags, next) {
+        const char = this.charAt(pos);
+
+        if (char !== null && this.characterMatches(node, char, flags)) {
+            this.record('match', node, pos + char.length, `${node.raw} matched ${JSON.stringify(char)} at position ${pos}`);
+            return next(pos + char.length);
+        }
+
+        this.record('fail', node, pos, char === null
+            ? `${node.raw} failed, end of the subject reached`
+            : `${node.raw} failed, ${JSON.stringify(char)} does not match`);
+        return false;
+    }
+
+    // PCRE's \R: \r\n or a single vertical whitespace character
+    matchNewlineSequence(node, pos, next) {
+        let length = 0;
+        if (this.input.startsWith('\r\n', pos)) {
+            length = 2;
+        } else if (pos < this.input.length && CHARACTER_TYPE_PATTERNS.v.test(this.input[pos])) {
+            length = 1;
+        }
+
+        if (length === 0) {
+            this.record('fail', node, pos, `${node.raw} failed, no line break at position ${pos}`);
+            return false;
+        }
+
+        this.record('match', node, pos + length, `${node.raw} matched ${JSON.stringify(this.input.slice(pos, pos + length))} at position ${pos}`);
+        return next(pos + length);
+    }
+
+    matchAnchor(node, pos, flags, next) {
+        if (node.kind === 'keep') {
+            const saved = this.keep;
+            this.keep = pos;
+            this.record('match', node, pos, `${node.raw} resets the match start to position ${pos}`);
+            if (next(pos)) {
+                return true;
+            }
+            this.keep = saved;
+            return false;
+        }
+
+        const holds = this.assertionHolds(node.kind, pos, flags);
+        this.record(holds ? 'match' : 'fail', node, pos, holds
+            ? `${node.raw} asserted at position ${pos}`
+            : `${node.raw} failed at position ${pos}`);
+
+        return holds && next(pos);
+    }
+
+    assertionHolds(kind, pos, flags) {
+        const input = this.input;
+        const atEnd = pos === input.length;
+        const beforeFinalNewline = pos === input.length - 1 && input[pos] === '\n';
+
+        switch (kind) {
+            case 'start':
+                return pos === 0 || (flags.multiline && this.lineTerminators.includes(input[pos - 1]));
+            case 'end':
+                if (flags.multiline) {
+                    return atEnd || this.lineTerminators.includes(input[pos]);
+                }
+                // Outside JavaScript $ also matches before a final newline
+                return atEnd || (beforeFinalNewline && !this.dollarEndOnly && this.flavor !== 'javascript' && this.flavor !== 'xregexp');
+            case 'wordBoundary':
+                return this.isWordCharacter(pos - 1, flags) !== this.isWordCharacter(pos, flags);
+            case 'nonWordBoundary':
+                return this.isWordCharacter(pos - 1, flags) === this.isWordCharacter(pos, flags);
+            case 'stringStart':
+                return pos === 0;
+            case 'stringEndNewline':
+                // Python's \Z is what other flavors call \z
+                return atEnd || (beforeFinalNewline && this.flavor !== 'python');
+            case 'stringEnd':
+                return atEnd;
+            case 'matchStart':
+                return pos === this.searchStart;
+            default:
+                return true;
+        }
+    }
+
+    matchBackreference(node, pos, flags, next) {
+        const index = node.name !== undefined ? this.groupIndexes.get(node.name) : node.index;
+        const capture = this.captures[index];
+
+        if (!capture) {
+            // JavaScript matches a group that did not participate as the empty string
+            const empty = this.flavor === 'javascript' || this.flavor === 'xregexp';
+            this.record(empty ? 'match' : 'fail', node, pos, empty
+                ? `${node.raw} refers to an unset group and matches the empty string`
+                : `${node.raw} failed, the group has not matched`);
+            return empty && next(pos);
+        }
+
+        const text = this.input.slice(capture[0], capture[1]);
+        const candidate = this.input.slice(pos, pos + text.length);
+        const matches = candidate.length === text.length &&
+            (flags.ignoreCase ? candidate.toLowerCase() === text.toLowerCase() : candidate === text);
+
+        if (!matches) {
+            this.record('fail', node, pos, `${node.raw} failed, ${JSON.stringify(text)} does not follow at position ${pos}`);
+            return false;
+        }
+
+        this.record('match', node, pos + text.length, `${node.raw} matched ${JSON.stringify(text)} at position ${pos}`);
+        return next(pos + text.length);
+    }
+
+    // Single characters
+
+    charAt(pos) {
+        if (pos >= this.input.length) {
+            return null;
+        }
+        return this.unicode ? String.fromCodePoint(this.input.codePointAt(pos)) : this.input[pos];
+    }
+
+    characterMatches(node, char, flags) {
+        switch (node.type) {
+            case 'Character':
+                return this.sameCharacter(char, node.value, flags);
+            case 'Dot':
+                return flags.dotAll || !this.lineTerminators.includes(char);
+            case 'CharacterType':
+                return this.typeMatches(node.kind, char, flags);
+            case 'UnicodeProperty':
+                return this.propertyPattern(node).test(char) !== node.negated;
+            case 'PosixClass':
+                return this.posixMatches(node, char);
+            case 'CharacterClass':
+                return node.items.some(item => this.classItemMatches(item, char, flags)) !== node.negated;
+            default:
+                return false;
+        }
+    }
+
+    classItemMatches(item, char, flags) {
+        if (item.type === 'Range') {
+            return this.caseVariants(char, flags).some(variant => {
+                const codePoint = variant.codePointAt(0);
+                return codePoint >= item.from.codePoint && codePoint <= item.to.codePoint;
+            });
+        }
+        return this.characterMatches(item, char, flags);
+    }
+
+    caseVariants(char, flags) {
+        return flags.ignoreCase ? [char, char.toLowerCase(), char.toUpperCase()] : [char];
+    }
+
+    sameCharacter(char, expected, flags) {
+        return this.caseVariants(char, flags).includes(expected);
+    }
+
+    typeMatches(kind, char, flags) {
+        if (kind === 'N') {
+            return char !== '\n';
+        }
+
+        const lower = kind.toLowerCase();
+        const unicodeType = this.flavor === 'python' && !flags.ascii && UNICODE_TYPE_PATTERNS[lower];
+        const pattern = unicodeType || CHARACTER_TYPE_PATTERNS[lower];
+
+        // Upper case is the negation: \D, \W, \S, \H, \V
+        return pattern.test(char) !== (kind !== lower);
+    }
+
+    propertyPattern(node) {
+        const body = node.value !== null ? `${node.name}=${node.value}` : node.name;
+
+        if (!this.propertyPatterns.has(body)) {
+            let pattern = /(?!)/;
+            for (const candidate of [body, `Script=${body}`]) {
+                try {
+                    pattern = new RegExp(`^\\p{${candidate}}$`, 'u');
+                    break;
+                } catch (error) {
+                    // Unknown to JavaScript, try the next spelling
+                }
+            }
+            this.propertyPatterns.set(body, pattern);
+        }
+
+        return this.propertyPatterns.get(body);
+    }
+
+    posixMatches(node, char) {
+        const content = POSIX_CLASSES[node.name];
+        if (!content) {
+            return false;
+        }
+        return new RegExp(`^[${content}]$`).test(char) !== node.negated;
+    }
+
+    isWordCharacter(pos, flags) {
+        if (pos < 0 || pos >= this.input.length) {
+            return false;
+        }
+        return this.typeMatches('w', this.input[pos], flags);
+    }
+
+    // Helpers
+
+    applyFlags(flags, enable, disable) {
+        const next = { ...flags };
+        [...enable].forEach(flag => {
+            if (INLINE_FLAGS[flag]) next[INLINE_FLAGS[flag]] = true;
+        });
+        [...disable].forEach(flag => {
+            if (INLINE_FLAGS[flag]) next[INLINE_FLAGS[flag]] = false;
+        });
+        return next;
+    }
+
+    restore(saved) {
+        this.captures = saved.captures;
+        this.keep = saved.keep;
+    }
+
+    // Upper bound of the characters a node can consume, limits the lookbehind scan
+    maxLength(node) {
+        switch (node.type) {
+            case 'Sequence':
+                return node.elements.reduce((sum, element) => sum + this.maxLength(element), 0);
+            case 'Alternation':
+                return Math.max(...node.alternatives.map(alternative => this.maxLength(alternative)));
+            case 'Group':
+                return ['lookahead', 'negativeLookahead', 'lookbehind', 'negativeLookbehind'].includes(node.kind)
+                    ? 0
+                    : this.maxLength(node.body);
+            case 'Quantifier':
+                return node.max === 0 ? 0 : node.max * this.maxLength(node.target);
+            case 'Backreference':
+                return Infinity;
+            case 'Anchor':
+            case 'Comment':
+            case 'InlineFlags':
+                return 0;
+            case 'CharacterType':
+                return node.kind === 'R' ? 2 : (this.unicode ? 2 : 1);
+            default:
+                return this.unicode ? 2 : 1;
+        }
+    }
+
+    describeGroupKind(node) {
+        const kinds = {
+            lookahead: 'Positive lookahead',
+            negativeLookahead: 'Negative lookahead',
+            lookbehind: 'Positive lookbehind',
+            negativeLookbehind: 'Negative lookbehind'
+        };
+        return `${kinds[node.kind]} ${node.raw}`;
+    }
+}
@@ -1,4 +1,59 @@
 // src/js/regex-engine.js
+import XRegExp from 'xregexp';
+import { RegexParser, RegexSyntaxError, walkAst } from './regex-parser.js';
+import { PythonTranslator } from './flavors/python.js';
+import { PcreTranslator } from './flavors/pcre.js';
+import { GoTranslator, toGoSyntaxError } from './flavors/golang.js';
+import { Replacement } from './replacement.js';
+import { ReDoSAnalyzer } from './redos-analyzer.js';
+
+const JAVASCRIPT_FLAGS = [
+    { flag: 'g', label: 'global' },
+    { flag: 'm', label: 'multiline' },
+    { flag: 'i', label: 'case insensitive' },
+    { flag: 's', label: 'single line' },
+    { flag: 'u', label: 'unicode' },
+    { flag: 'v', label: 'unicode sets' },
+    { flag: 'y', label: 'sticky' },
+    { flag: 'd', label: 'indices' }
+];
+
+// Flags offered in the UI for each flavor
+export const FLAVOR_FLAGS = {
+    javascript: JAVASCRIPT_FLAGS,
+    pcre: [
+        { flag: 'g', label: 'global', title: 'preg_match_all statt preg_match' },
+        { flag: 'm', label: 'multiline' },
+        { flag: 'i', label: 'insensitive' },
+        { flag: 's', label: 'single line' },
+        { flag: 'x', label: 'extended' },
+        { flag: 'U', label: 'ungreedy' },
+        { flag: 'A', label: 'anchored' },
+        { flag: 'D', label: 'dollar end only' }
+    ],
+    python: [
+        { flag: 'g', label: 'global', title: 're.finditer statt re.search' },
+        { flag: 'm', label: 'multiline', title: 're.MULTILINE' },
+        { flag: 'i', label: 'ignorecase', title: 're.IGNORECASE' },
+        { flag: 's', label: 'dotall', title: 're.DOTALL' },
+        { flag: 'x', label: 'verbose', title: 're.VERBOSE' },
+        { flag: 'a', label: 'ascii', title: 're.ASCII' }
+    ],
+    golang: [
+        { flag: 'g', label: 'global', title: 'FindAll statt Find' },
+        { flag: 'm', label: 'multiline', title: '(?m)' },
+        { flag: 'i', label: 'insensitive', title: '(?i)' },
+        { flag: 's', label: 'single line', title: '(?s)' },
+        { flag: 'U', label: 'ungreedy', title: '(?U)' }
+    ],
+    xregexp: [
+        // XRegExp rejects the v flag
+        ...JAVASCRIPT_FLAGS.filter(option => option.flag !== 'v'),
+        { flag: 'x', label: 'extended', title: 'Leerzeichen und #-Kommentare ignorieren' },
+        { flag: 'n', label: 'explicit capture', title: 'Nur benannte Gruppen erfassen' },
+        { flag: 'A', label: 'astral', title: 'Unicode-Tokens auch für Zeichen außerhalb der BMP' }
+    ]
+};
 
 export class RegexEngine {
     constructor() {
@@ -6,22 +61,153 @@ export class RegexEngine {
         this.lastFlags = null;
     }
 
-    execute(pattern, flags, testString, flavor = 'javascript') {
+    // Everything processRegex() needs in one call, see RegexRunner
+    run({ pattern, flags, testString, flavor, substitution = null, list = null, split = null, perLine = false }) {
+        const startTime = performance.now();
+
+        const result = this.execute(pattern, flags, testString, flavor, perLine);
+        if (substitution !== null) {
+            // A broken replacement does not hide the matches
+            try {
+                const { output, replacements } = this.substitute(pattern, flags, testString, substitution, flavor);
+                result.substitution = output;
+                result.replacements = replacements;
+            } catch (error) {
+                result.substitutionError = error.offset !== undefined
+                    ? `${error.message} at position ${error.offset}`
+                    : error.message;
+            }
+        }
+        if (list !== null) {
+            try {
+                result.list = this.list(pattern, flags, testString, list, flavor);
+            } catch (error) {
+                result.listError = error.offset !== undefined
+                    ? `${error.message} at position ${error.offset}`
+                    : error.message;
+            }
+        }
+        if (split !== null) {
+            try {
+                result.split = this.split(pattern, flags, testString, split.limit, flavor);
+            } catch (error) {
+                result.splitError = error.message;
+            }
+        }
+        result.executionTime = performance.now() - startTime;
+
+        return result;
+    }
+
+    // Runs the cases of the Tests tab. Each test is { id, expect, input, expected }
+    // with expect one of 'match', 'noMatch', 'groups' or 'substitution'.
+    runTests({ pattern, flags, flavor, substitution = '', tests }) {
+        return tests.map(test => {
+            try {
+                return { id: test.id, ...this.runTest(test, pattern, flags, flavor, substitution) };
+            } catch (error) {
+                const message = error instanceof RegexSyntaxError && error.offset !== null
+                    ? `${error.message} at position ${error.offset}`
+                    : error.message;
+                return { id: test.id, passed: false, message };
+            }
+        });
+    }
+
+    runTest(test, pattern, flags, flavor, substitution) {
+        if (test.expect === 'substitution') {
+            const { output } = this.substitute(pattern, flags, test.input, substitution, flavor);
+            return output === test.expected
+                ? { passed: true, message: '' }
+                : { passed: false, message: `Expected ${JSON.stringify(test.expected)}, got ${JSON.stringify(output)}` };
+        }
+
+        // Only the first match counts
+        const regex = this.createRegex(pattern, flags.replace('g', ''), flavor);
+        const [match] = this.findMatches(regex, test.input, false);
+
+        switch (test.expect) {
+            case 'match':
+                return match
+                    ? { passed: true, message: '' }
+                    : { passed: false, message: 'Expected a match, found none' };
+            case 'noMatch':
+                return match
+                    ? { passed: false, message: `Expected no match, found ${JSON.stringify(match[0])} at ${match.index}` }
+                    : { passed: true, message: '' };
+            case 'groups':
+                return this.checkGroups(match, test.expected, this.getGroupNames(pattern, flags, flavor));
+            default:
+                throw new Error(`Unknown test type ${test.expect}`);
+        }
+    }
+
+    // Expected groups are written one per line as "1=value" or "name=value"
+    checkGroups(match, expected, groupNames) {
+        if (!match) {
+            return { passed: false, message: 'Expected a match, found none' };
+        }
+
+        const failures = [];
+        expected.split('\n').filter(line => line.trim()).forEach(line => {
+            const separator = line.indexOf('=');
+            if (separator === -1) {
+                throw new Error(`Expected "group=value", got ${JSON.stringify(line)}`);
+            }
+
+            const key = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1);
+            const index = /^\d+$/.test(key) ? parseInt(key, 10) : groupNames.indexOf(key);
+            if (index === -1 || index >= match.length) {
+                throw new Error(`Group ${key} does not exist`);
+            }
+
+            if (match[index] !== value) {
+                const actual = match[index] === undefined ? 'nothing' : JSON.stringify(match[index]);
+                failures.push(`group ${key}: expected ${JSON.stringify(value)}, got ${actual}`);
+            }
+        });
+
+        return { passed: failures.length === 0, message: failures.join('; ') };
+    }
+
+    // The analyzer runs the pattern to confirm its findings, which can itself
+    // backtrack for seconds, so it is called through a RegexRunner as well
+    analyzeReDoS({ pattern, flags, flavor }) {
+        return new ReDoSAnalyzer(this).analyze(pattern, flags, flavor);
+    }
+
+    // Request form of findSpanMatches for a RegexRunner, the span search runs
+    // the whole pattern again and may backtrack just as long as run()
+    matchSpan({ pattern, flags, testString, flavor, start, end }) {
+        return this.findSpanMatches(pattern, flags, testString, flavor, start, end);
+    }
+
+    // With perLine every line of the test string is a subject of its own,
+    // the result then also lists per line whether it matched
+    execute(pattern, flags, testString, flavor = 'javascript', perLine = false) {
         try {
             // Validate and create regex
             const regex = this.createRegex(pattern, flags, flavor);
 
             // Find all matches
-            const matches = this.findMatches(regex, testString, flags.includes('g'));
+            const { matches, lines } = perLine
+                ? this.findLineMatches(regex, testString, flags.includes('g'))
+                : { matches: this.findMatches(regex, testString, flags.includes('g')), lines: undefined };
 
             return {
                 matches: matches,
+                lines: lines,
+                groupNames: this.getGroupNames(pattern, flags, flavor),
                 pattern: pattern,
                 flags: flags,
                 testString: testString,
                 flavor: flavor
             };
         } catch (error) {
+            if (error instanceof RegexSyntaxError) {
+                throw error;
+            }
             throw new Error(`Regex Error: ${error.message}`);
         }
     }
@@ -30,199 +216,556 @@ export class RegexEngine {
         // Basic flavor-specific adjustments
         let adjustedPattern = pattern;
         let adjustedFlags = flags;
+        // Emulations can add hidden groups, see RegexTranslator
+        let groupMap = null;
+        // XRegExp compiles named groups to plain ones and keeps the names aside
+        let captureNames = null;
 
-        switch(flavor) {
-            case 'pcre':
-                // PCRE-style to JavaScript adjustments
-                adjustedPattern = this.convertPCREToJS(pattern);
-                break;
-            case 'python':
-                // Python-style to JavaScript adjustments
-                adjustedPattern = this.convertPythonToJS(pattern);
-                break;
-            case 'golang':
-                // Go-style to JavaScript adjustments
-                adjustedPattern = this.convertGoToJS(pattern);
-                break;
+        try {
+            switch(flavor) {
+                case 'pcre': {
+                    // PCRE-style to JavaScript adjustments
+                    const converted = this.convertPCREToJS(pattern, flags);
+                    adjustedPattern = converted.pattern;
+                    adjustedFlags = converted.flags;
+                    groupMap = converted.groupMap;
+                    break;
+                }
+                case 'python': {
+                    // Python-style to JavaScript adjustments
+                    const converted = this.convertPythonToJS(pattern, flags);
+                    adjustedPattern = converted.pattern;
+                    adjustedFlags = converted.flags;
+                    groupMap = converted.groupMap;
+                    break;
+                }
+                case 'golang': {
+                    // Go-style to JavaScript adjustments
+                    const converted = this.convertGoToJS(pattern, flags);
+                    adjustedPattern = converted.pattern;
+                    adjustedFlags = converted.flags;
+                    groupMap = converted.groupMap;
+                    break;
+                }
+                case 'xregexp': {
+                    const converted = this.convertXRegExpToJS(pattern, flags);
+                    adjustedPattern = converted.pattern;
+                    adjustedFlags = converted.flags;
+                    captureNames = converted.captureNames;
+                    break;
+                }
+            }
+        } catch (error) {
+            // XRegExp reports its syntax errors as SyntaxError
+            throw error instanceof SyntaxError ? this.locateError(error, pattern, flags, flavor) : error;
         }
 
         // Create and validate regex
         try {
-            return new RegExp(adjustedPattern, adjustedFlags);
+            const regex = new RegExp(adjustedPattern, adjustedFlags);
+            regex.groupMap = groupMap;
+            regex.captureNames = captureNames;
+            return regex;
         } catch (error) {
-            throw new Error(`Invalid regular expression: ${error.message}`);
+            throw this.locateError(error, pattern, flags, flavor);
+        }
+    }
+
+    // Browser errors carry no position, the parser mostly finds the same problem
+    // and knows where it is. Otherwise the offset stays null.
+    locateError(error, pattern, flags, flavor) {
+        try {
+            this.parse(pattern, flavor, flags);
+        } catch (parseError) {
+            if (parseError instanceof RegexSyntaxError) {
+                return flavor === 'golang' ? toGoSyntaxError(parseError, pattern) : parseError;
+            }
+        }
+
+        // "Invalid regular expression: /(/: Unterminated group" -> "Unterminated group"
+        const message = error.message.replace(/^Invalid regular expression: \/[\s\S]*\/[a-z]*: /, '');
+        return new RegexSyntaxError(message, null);
+    }
+
+    // Empty lines are no subjects. Offsets stay relative to the whole test
+    // string, a trailing \r is not part of the line.
+    findLineMatches(regex, testString, isGlobal) {
+        const matches = [];
+        const lines = [];
+        let offset = 0;
+
+        testString.split('\n').forEach((text, i) => {
+            const line = text.endsWith('\r') ? text.slice(0, -1) : text;
+
+            if (line !== '') {
+                const lineMatches = this.findMatches(regex, line, isGlobal);
+                lineMatches.forEach(match => matches.push(this.shiftMatch(match, offset)));
+                lines.push({ line: i + 1, matched: lineMatches.length > 0, count: lineMatches.length });
+            }
+
+            offset += text.length + 1;
+        });
+
+        return { matches, lines };
+    }
+
+    shiftMatch(match, offset) {
+        const shift = (range) => range && [range[0] + offset, range[1] + offset];
+
+        match.index += offset;
+        if (match.indices) {
+            const groups = match.indices.groups;
+            match.indices = match.indices.map(shift);
+            if (groups) {
+                match.indices.groups = Object.fromEntries(Object.entries(groups).map(([name, range]) => [name, shift(range)]));
+            }
         }
+
+        return match;
     }
 
     findMatches(regex, testString, isGlobal) {
         const matches = [];
+        // Group offsets always come from match.indices, whether or not d was set
+        const execRegex = new RegExp(regex.source, regex.flags.includes('d') ? regex.flags : regex.flags + 'd');
 
         if (isGlobal) {
             // Global matching
             let match;
-            const globalRegex = new RegExp(regex.source, regex.flags);
 
-            while ((match = globalRegex.exec(testString)) !== null) {
+            while ((match = execRegex.exec(testString)) !== null) {
                 // Prevent infinite loops with zero-width matches
-                if (match.index === globalRegex.lastIndex) {
-                    globalRegex.lastIndex++;
+                if (match.index === execRegex.lastIndex) {
+                    execRegex.lastIndex++;
                 }
 
-                // Add groups information
-                if (match.length > 1) {
-                    match.groups = {};
-                    for (let i = 1; i < match.length; i++) {
-                        match.groups[i] = match[i];
-                    }
-                }
-
-                matches.push(match);
+                matches.push(this.prepareMatch(match, regex));
             }
         } else {
             // Single match
-            const match = regex.exec(testString);
+            const match = execRegex.exec(testString);
             if (match) {
-                // Add groups information
-                if (match.length > 1) {
-                    match.groups = {};
-                    for (let i = 1; i < match.length; i++) {
-                        match.groups[i] = match[i];
-                    }
-                }
-                matches.push(match);
+                matches.push(this.prepareMatch(match, regex));
             }
         }
 
         return matches;
     }
 
-    substitute(pattern, flags, testString, replacement) {
-        try {
-            const regex = new RegExp(pattern, flags);
+    // Undoes the changes a translation made to the group numbering and names
+    prepareMatch(match, regex) {
+        if (regex.groupMap) {
+            match = this.remapGroups(match, regex.groupMap);
+        }
+        if (regex.captureNames) {
+            this.nameGroups(match, regex.captureNames);
+        }
+        return match;
+    }
+
+    // Maps the groups of a translated regex back to the numbering of the source pattern
+    remapGroups(match, groupMap) {
+        const pick = (values) => {
+            const picked = [values[0]];
+            Object.keys(groupMap).forEach(index => {
+                const target = groupMap[index].find(candidate => values[candidate] !== undefined);
+                picked[index] = target !== undefined ? values[target] : undefined;
+            });
+            return picked;
+        };
+
+        const remapped = pick(match);
+        remapped.index = match.index;
+        remapped.input = match.input;
+        remapped.groups = match.groups;
+
+        if (match.indices) {
+            remapped.indices = pick(match.indices);
+            remapped.indices.groups = match.indices.groups;
+        }
+
+        return remapped;
+    }
+
+    // Sets match.groups (and indices.groups) from XRegExp's capture names
+    nameGroups(match, captureNames) {
+        match.groups = {};
+        if (match.indices) {
+            match.indices.groups = {};
+        }
+
+        captureNames.forEach((name, i) => {
+            if (name === null) return;
+            match.groups[name] = match[i + 1];
+            if (match.indices) {
+                match.indices.groups[name] = match.indices[i + 1];
+            }
+        });
+    }
 
-            // Process replacement string for special sequences
-            const processedReplacement = replacement
-                .replace(/\$(\d+)/g, (match, num) => `$${num}`)  // Numbered groups
-                .replace(/\$\{(\d+)\}/g, (match, num) => `$${num}`)  // Bracket notation
-                .replace(/\$&/g, '$&')  // Full match
-                .replace(/\$`/g, '$`')  // Before match
-                .replace(/\$'/g, "$'");  // After match
+    // Group names by number, taken from the source pattern so that every flavor is covered
+    getGroupNames(pattern, flags, flavor) {
+        const names = [];
 
-            return testString.replace(regex, processedReplacement);
+        try {
+            walkAst(this.parse(pattern, flavor, flags), (node) => {
+                if (node.type === 'Group' && node.kind === 'named') {
+                    names[node.index] = node.name;
+                }
+            });
         } catch (error) {
-            return testString;
+            // The regex compiled anyway, its groups are just shown without names
         }
+
+        return names;
     }
 
-    explain(pattern, flags) {
-        const explanations = [];
-        let i = 0;
+    // regex101's "List": the template is expanded for every match and the
+    // results are concatenated, \n in the template is a line break
+    list(pattern, flags, testString, template, flavor = 'javascript') {
+        const regex = this.createRegex(pattern, flags, flavor);
+        const replacement = new Replacement(template, flavor, this.getGroupCount(regex),
+            this.getGroupNames(pattern, flags, flavor), { controlEscapes: true });
+        const matches = this.findMatches(regex, testString, flags.includes('g'));
 
-        while (i < pattern.length) {
-            const char = pattern[i];
+        return matches.map(match => replacement.expand(match, testString)).join('');
+    }
 
-            switch(char) {
-                case '^':
-                    explanations.push(this.createExplanation('^', 'Asserts position at start of string or line'));
-                    i++;
-                    break;
+    // Splits the test string the way the split function of the flavor does:
+    //   javascript, xregexp  string.split(regex, limit)
+    //   python               re.split(pattern, string, maxsplit)
+    //   pcre                 preg_split(pattern, subject, limit, PREG_SPLIT_DELIM_CAPTURE)
+    //   golang               regexp.Split(s, n)
+    // Returns { value, captured } per element, captured marks the groups that
+    // are inserted between the pieces. limit null means no limit.
+    split(pattern, flags, testString, limit = null, flavor = 'javascript') {
+        const regex = this.createRegex(pattern, flags, flavor);
 
-                case '$':
-                    explanations.push(this.createExplanation('$', 'Asserts position at end of string or line'));
-                    i++;
-                    break;
+        switch (flavor) {
+            case 'python':
+                return this.splitPython(regex, testString, limit);
+            case 'pcre':
+                return this.splitPcre(regex, testString, limit);
+            case 'golang':
+                return this.splitGo(regex, testString, limit, pattern);
+            default: {
+                // The native split knows the empty match rules, g and y make no difference to it
+                const splitter = new RegExp(regex.source, regex.flags.replace(/[gy]/g, ''));
+                const piecesAndGroups = testString.split(splitter, limit === null ? undefined : limit);
+                const groupCount = this.getGroupCount(regex);
 
-                case '.':
-                    explanations.push(this.createExplanation('.', 'Matches any character (except newline unless s flag is set)'));
-                    i++;
-                    break;
+                // Every piece after the first is preceded by all groups of its separator
+                return piecesAndGroups.map((value, i) => ({ value, captured: i % (groupCount + 1) !== 0 }));
+            }
+        }
+    }
 
-                case '*':
-                    explanations.push(this.createExplanation('*', 'Matches previous token 0 or more times (greedy)'));
-                    i++;
-                    break;
+    // maxsplit 0 means no limit, a negative one no splitting at all
+    splitPython(regex, input, maxsplit) {
+        const parts = [];
+        let last = 0;
+        let splits = 0;
 
-                case '+':
-                    explanations.push(this.createExplanation('+', 'Matches previous token 1 or more times (greedy)'));
-                    i++;
-                    break;
+        for (const match of this.findMatches(regex, input, true)) {
+            if (maxsplit !== null && maxsplit !== 0 && splits >= Math.max(maxsplit, 0)) break;
 
-                case '?':
-                    if (i > 0 && (pattern[i-1] === '*' || pattern[i-1] === '+' || pattern[i-1] === '?')) {
-                        explanations.push(this.createExplanation('?', 'Makes previous quantifier lazy (non-greedy)'));
-                    } else {
-                        explanations.push(this.createExplanation('?', 'Matches previous token 0 or 1 time'));
-                    }
-                    i++;
-                    break;
+            parts.push({ value: input.slice(last, match.index), captured: false });
+            for (let i = 1; i < match.length; i++) {
+                parts.push({ value: match[i], captured: true });
+            }
+            last = match.index + match[0].length;
+            splits++;
+        }
+        parts.push({ value: input.slice(last), captured: false });
 
-                case '\\':
-                    if (i + 1 < pattern.length) {
-                        const nextChar = pattern[i + 1];
-                        const escapeSeq = '\\' + nextChar;
-                        explanations.push(this.createExplanation(escapeSeq, this.getEscapeExplanation(nextChar)));
-                        i += 2;
-                    } else {
-                        i++;
-                    }
-                    break;
+        return parts;
+    }
 
-                case '[':
-                    const endBracket = pattern.indexOf(']', i);
-                    if (endBracket !== -1) {
-                        const charClass = pattern.substring(i, endBracket + 1);
-                        explanations.push(this.createExplanation(charClass, this.getCharClassExplanation(charClass)));
-                        i = endBracket + 1;
-                    } else {
-                        i++;
-                    }
-                    break;
+    // A limit of -1 or 0 means no limit, otherwise at most limit pieces. PHP only
+    // passes groups up to the last one that participated, unset ones are "".
+    splitPcre(regex, input, limit) {
+        const pieces = limit === null || limit <= 0 ? Infinity : limit;
+        const parts = [];
+        let last = 0;
+        let count = 1;
 
-                case '(':
-                    let depth = 1;
-                    let j = i + 1;
-                    while (j < pattern.length && depth > 0) {
-                        if (pattern[j] === '(' && pattern[j-1] !== '\\') depth++;
-                        if (pattern[j] === ')' && pattern[j-1] !== '\\') depth--;
-                        j++;
-                    }
-                    const group = pattern.substring(i, j);
-                    explanations.push(this.createExplanation(group, this.getGroupExplanation(group)));
-                    i = j;
-                    break;
+        for (const match of this.findMatches(regex, input, true)) {
+            if (count >= pieces) break;
 
-                case '|':
-                    explanations.push(this.createExplanation('|', 'Alternation (OR operator)'));
-                    i++;
-                    break;
+            parts.push({ value: input.slice(last, match.index), captured: false });
+            let lastGroup = match.length - 1;
+            while (lastGroup > 0 && match[lastGroup] === undefined) {
+                lastGroup--;
+            }
+            for (let i = 1; i <= lastGroup; i++) {
+                parts.push({ value: match[i] || '', captured: true });
+            }
+            last = match.index + match[0].length;
+            count++;
+        }
+        parts.push({ value: input.slice(last), captured: false });
 
-                case '{':
-                    const endBrace = pattern.indexOf('}', i);
-                    if (endBrace !== -1) {
-                        const quantifier = pattern.substring(i, endBrace + 1);
-                        explanations.push(this.createExplanation(quantifier, this.getQuantifierExplanation(quantifier)));
-                        i = endBrace + 1;
-                    } else {
-                        i++;
-                    }
-                    break;
+        return parts;
+    }
 
-                default:
-                    explanations.push(this.createExplanation(char, `Matches the character "${char}" literally`));
-                    i++;
+    // Follows regexp.Split: n > 0 gives at most n pieces, n == 0 none and n < 0
+    // all of them. Groups are never included.
+    splitGo(regex, input, n, pattern) {
+        if (n === null) n = -1;
+        if (n === 0) return [];
+        if (pattern !== '' && input === '') return [{ value: '', captured: false }];
+
+        const parts = [];
+        let begin = 0;
+        let end = 0;
+        let previousEnd = -1;
+
+        for (const match of this.findMatches(regex, input, true)) {
+            const matchEnd = match.index + match[0].length;
+            // Go ignores empty matches right after a previous match
+            if (match[0] === '' && match.index === previousEnd) continue;
+            previousEnd = matchEnd;
+
+            if (n > 0 && parts.length === n - 1) break;
+
+            end = match.index;
+            if (matchEnd !== 0) {
+                parts.push({ value: input.slice(begin, end), captured: false });
             }
+            begin = matchEnd;
+        }
+
+        if (end !== input.length) {
+            parts.push({ value: input.slice(begin), captured: false });
+        }
+
+        return parts;
+    }
+
+    // Replaces with the replacement syntax of the flavor, see Replacement
+    substitute(pattern, flags, testString, replacement, flavor = 'javascript') {
+        const regex = this.createRegex(pattern, flags, flavor);
+        const template = new Replacement(replacement, flavor, this.getGroupCount(regex), this.getGroupNames(pattern, flags, flavor));
+        const matches = this.findMatches(regex, testString, flags.includes('g'));
+
+        return template.apply(matches, testString);
+    }
+
+    // Number of groups in the source numbering, without the hidden groups of emulations
+    getGroupCount(regex) {
+        if (regex.groupMap) {
+            return Object.keys(regex.groupMap).length;
         }
+        // An empty first alternative matches '' and still reports every group
+        return new RegExp(`|${regex.source}`, regex.flags.replace(/[gy]/g, '')).exec('').length - 1;
+    }
+
+    parse(pattern, flavor = 'javascript', flags = '') {
+        const parser = new RegexParser({
+            flavor,
+            extended: flags.includes('x'),
+            explicitCapture: flavor === 'xregexp' && flags.includes('n')
+        });
+        return parser.parse(pattern);
+    }
+
+    explain(pattern, flags, flavor = 'javascript') {
+        const ast = this.parse(pattern, flavor, flags);
+        const context = { flags, flavor };
+
+        const explanations = this.explainNode(ast.body, context);
 
         // Add flags explanation
         if (flags) {
-            explanations.push(this.createExplanation(`Flags: ${flags}`, this.getFlagsExplanation(flags)));
+            explanations.push(this.createExplanation(`Flags: ${flags}`, this.getFlagsExplanation(flags, flavor)));
         }
 
         return this.formatExplanation(explanations);
     }
 
-    createExplanation(token, description) {
-        return { token, description };
+    // Innermost explanation entry covering the offset, null if there is none
+    explainAt(pattern, flags, flavor, offset) {
+        const ast = this.parse(pattern, flavor, flags);
+        let found = null;
+
+        const visit = (entries) => entries.forEach(entry => {
+            if (entry.start !== null && entry.start <= offset && offset < entry.end) {
+                found = entry;
+                visit(entry.children);
+            }
+        });
+        visit(this.explainNode(ast.body, { flags, flavor }));
+
+        return found;
+    }
+
+    // Returns a list of explanation entries for a node; nested structures are
+    // returned as children so that the output mirrors the pattern
+    explainNode(node, context) {
+        switch (node.type) {
+            case 'Sequence':
+                return this.explainSequence(node.elements, context);
+
+            case 'Alternation':
+                return [this.createExplanation('|', `Alternation: matches one of ${node.alternatives.length} alternatives`, node,
+                    node.alternatives.map((alternative, i) => this.createExplanation(
+                        alternative.raw || '(empty)',
+                        `Alternative ${i + 1}`,
+                        alternative,
+                        this.explainNode(alternative, context)
+                    ))
+                )];
+
+            case 'Group':
+                return [this.createExplanation(node.raw, this.getGroupExplanation(node), node, this.explainNode(node.body, context))];
+
+            case 'Quantifier':
+                return [this.createExplanation(node.raw, this.getQuantifierExplanation(node), node, this.explainNode(node.target, context))];
+
+            case 'CharacterClass':
+                return [this.createExplanation(node.raw, this.getCharClassExplanation(node), node,
+                    node.items.map(item => this.explainClassItem(item, context))
+                )];
+
+            case 'Character':
+                return [this.createExplanation(node.raw, this.getCharacterExplanation(node, context), node)];
+
+            case 'CharacterType':
+                return [this.createExplanation(node.raw, this.getCharacterTypeExplanation(node.kind, context), node)];
+
+            case 'Dot':
+                return [this.createExplanation('.', context.flags.includes('s')
+                    ? 'Matches any character including newline'
+                    : 'Matches any character (except newline unless s flag is set)', node)];
+
+            case 'Anchor':
+                return [this.createExplanation(node.raw, this.getAnchorExplanation(node, context), node)];
+
+            case 'Backreference':
+                return [this.createExplanation(node.raw, node.name !== undefined
+                    ? `Matches the same text as most recently matched by the group named "${node.name}"`
+                    : `Matches the same text as most recently matched by capturing group ${node.index}`, node)];
+
+            case 'UnicodeProperty':
+                return [this.createExplanation(node.raw, this.getUnicodePropertyExplanation(node), node)];
+
+            case 'InlineFlags':
+                return [this.createExplanation(node.raw, this.getInlineFlagsExplanation(node), node)];
+
+            case 'Comment':
+                return [this.createExplanation(node.raw, 'Comment, ignored by the engine', node)];
+
+            default:
+                return [this.createExplanation(node.raw, `Matches "${node.raw}"`, node)];
+        }
+    }
+
+    explainSequence(elements, context) {
+        const explanations = [];
+        let i = 0;
+
+        while (i < elements.length) {
+            // Merge runs of plain literals into one entry ("abc" instead of a, b, c)
+            let j = i;
+            while (j < elements.length && elements[j].type === 'Character' && !elements[j].escaped) {
+                j++;
+            }
+
+            if (j - i > 1) {
+                const run = elements.slice(i, j);
+                const text = run.map(el => el.value).join('');
+                explanations.push(this.createExplanation(text, `Matches the characters "${text}" literally`, {
+                    start: run[0].start,
+                    end: run[run.length - 1].end
+                }));
+                i = j;
+                continue;
+            }
+
+            explanations.push(...this.explainNode(elements[i], context));
+            i++;
+        }
+
+        return explanations;
+    }
+
+    explainClassItem(item, context) {
+        switch (item.type) {
+            case 'Range':
+                return this.createExplanation(item.raw,
+                    `A single character in the range between "${item.from.value}" (index ${item.from.codePoint}) and "${item.to.value}" (index ${item.to.codePoint})`, item);
+            case 'PosixClass':
+                return this.createExplanation(item.raw, `POSIX class "${item.name}"${item.negated ? ' (negated)' : ''}`, item);
+            default:
+                return this.explainNode(item, context)[0];
+        }
+    }
+
+    createExplanation(token, description, node = null, children = []) {
+        return {
+            token,
+            description,
+            start: node ? node.start : null,
+            end: node ? node.end : null,
+            children
+        };
+    }
+
+    getCharacterExplanation(node, context) {
+        if (node.escaped && node.raw.length > 2) {
+            return `Matches the character with index ${node.codePoint} (${this.describeCodePoint(node)})`;
+        }
+        if (node.raw === '\\b') {
+            return 'Matches a backspace character';
+        }
+        if (node.escaped && /^\\[nrtvf0]$/.test(node.raw)) {
+            return this.getEscapeExplanation(node.raw[1]);
+        }
+
+        const caseNote = context.flags.includes('i') && node.value.toLowerCase() !== node.value.toUpperCase()
+            ? ' (case insensitive)'
+            : '';
+        return `Matches the character "${node.value}" literally${caseNote}`;
+    }
+
+    describeCodePoint(node) {
+        return `U+${node.codePoint.toString(16).toUpperCase().padStart(4, '0')}`;
+    }
+
+    getAnchorExplanation(node, context) {
+        const multiline = context.flags.includes('m');
+
+        switch (node.kind) {
+            case 'start':
+                return multiline ? 'Asserts position at start of a line' : 'Asserts position at start of the string';
+            case 'end':
+                if (multiline) {
+                    return 'Asserts position at end of a line';
+                }
+                return context.flavor === 'javascript' || context.flavor === 'golang'
+                    ? 'Asserts position at end of the string'
+                    : 'Asserts position at end of the string, or before the line terminator at the end of the string';
+            case 'wordBoundary':
+                return this.getEscapeExplanation('b');
+            case 'nonWordBoundary':
+                return this.getEscapeExplanation('B');
+            case 'stringStart':
+                return 'Asserts position at start of the string';
+            case 'stringEndNewline':
+                // Python's \Z is what other flavors call \z
+                if (context.flavor === 'python') {
+                    return 'Asserts position at the absolute end of the string';
+                }
+                return 'Asserts position at end of the string, or before the line terminator at the end of the string';
+            case 'stringEnd':
+                return 'Asserts position at the absolute end of the string';
+            case 'matchStart':
+                return 'Asserts position at the end of the previous match';
+            case 'keep':
+                return 'Resets the start of the reported match, text matched so far is not included';
+            default:
+                return 'Assertion';
+        }
     }
 
     getEscapeExplanation(char) {
@@ -247,50 +790,118 @@ export class RegexEngine {
         return escapes[char] || `Escapes the character "${char}"`;
     }
 
-    getCharClassExplanation(charClass) {
-        if (charClass.startsWith('[^')) {
-            return `Matches any character NOT in the set ${charClass.substring(2, charClass.length - 1)}`;
+    getCharacterTypeExplanation(kind, context) {
+        // \h, \v, \N and \R as PCRE reads them
+        const pcreTypes = {
+            'h': 'Matches any horizontal whitespace character',
+            'H': 'Matches any character that is not horizontal whitespace',
+            'v': 'Matches any vertical whitespace character',
+            'V': 'Matches any character that is not vertical whitespace',
+            'N': 'Matches any character except a newline',
+            'R': 'Matches any Unicode newline sequence (\\r\\n, \\n, \\r, ...)'
+        };
+
+        if (context.flavor === 'pcre' && pcreTypes[kind]) {
+            return pcreTypes[kind];
+        }
+        return this.getEscapeExplanation(kind);
+    }
+
+    getCharClassExplanation(node) {
+        if (node.items.length === 0) {
+            return node.negated ? 'Matches any character' : 'Empty class, never matches';
+        }
+        if (node.negated) {
+            return 'Matches any character NOT in the set below';
         } else {
-            return `Matches any character in the set ${charClass.substring(1, charClass.length - 1)}`;
-        }
-    }
-
-    getGroupExplanation(group) {
-        if (group.startsWith('(?:')) {
-            return 'Non-capturing group';
-        } else if (group.startsWith('(?=')) {
-            return 'Positive lookahead assertion';
-        } else if (group.startsWith('(?!')) {
-            return 'Negative lookahead assertion';
-        } else if (group.startsWith('(?<=')) {
-            return 'Positive lookbehind assertion';
-        } else if (group.startsWith('(?<!')) {
-            return 'Negative lookbehind assertion';
-        } else if (group.startsWith('(?<')) {
-            const nameEnd = group.indexOf('>');
-            const name = group.substring(3, nameEnd);
-            return `Named capturing group "${name}"`;
+            return 'Matches a single character in the set below';
+        }
+    }
+
+    getGroupExplanation(node) {
+        switch (node.kind) {
+            case 'nonCapture':
+                return 'Non-capturing group';
+            case 'lookahead':
+                return 'Positive lookahead assertion';
+            case 'negativeLookahead':
+                return 'Negative lookahead assertion';
+            case 'lookbehind':
+                return 'Positive lookbehind assertion';
+            case 'negativeLookbehind':
+                return 'Negative lookbehind assertion';
+            case 'atomic':
+                return 'Atomic group, no backtracking into the group once it has matched';
+            case 'branchReset':
+                return 'Branch reset group, every alternative numbers its groups from the same start';
+            case 'named':
+                return `Named capturing group "${node.name}" (group ${node.index})`;
+            case 'flags':
+                return `Non-capturing group with modifiers: ${this.getInlineFlagsExplanation(node)}`;
+            default:
+                return `Capturing group ${node.index}`;
+        }
+    }
+
+    getQuantifierExplanation(node) {
+        let times;
+        if (node.min === node.max) {
+            times = `exactly ${node.min} ${node.min === 1 ? 'time' : 'times'}`;
+        } else if (node.max === Infinity) {
+            times = `${node.min} or more times`;
         } else {
-            return 'Capturing group';
+            times = `between ${node.min} and ${node.max} times`;
         }
+
+        let mode = 'greedy, as many times as possible';
+        if (node.lazy) {
+            mode = 'lazy, as few times as possible';
+        } else if (node.possessive) {
+            mode = 'possessive, without giving back';
+        }
+
+        return `Matches the following token ${times} (${mode})`;
     }
 
-    getQuantifierExplanation(quantifier) {
-        const content = quantifier.substring(1, quantifier.length - 1);
+    getUnicodePropertyExplanation(node) {
+        const categories = {
+            'L': 'any letter',
+            'Letter': 'any letter',
+            'Lu': 'an uppercase letter',
+            'Uppercase_Letter': 'an uppercase letter',
+            'Ll': 'a lowercase letter',
+            'Lowercase_Letter': 'a lowercase letter',
+            'N': 'any number',
+            'Number': 'any number',
+            'Nd': 'a decimal digit',
+            'P': 'any punctuation',
+            'Punctuation': 'any punctuation',
+            'S': 'any symbol',
+            'Symbol': 'any symbol',
+            'Z': 'any separator',
+            'Separator': 'any separator',
+            'M': 'any combining mark',
+            'Mark': 'any combining mark'
+        };
 
-        if (content.includes(',')) {
-            const [min, max] = content.split(',');
-            if (max) {
-                return `Matches previous token between ${min} and ${max} times`;
-            } else {
-                return `Matches previous token ${min} or more times`;
-            }
+        let what;
+        if (node.value !== null) {
+            what = `a character with ${node.name} "${node.value}"`;
         } else {
-            return `Matches previous token exactly ${content} times`;
+            what = categories[node.name] ? `${categories[node.name]} (${node.name})` : `a character with the Unicode property "${node.name}"`;
         }
+
+        return node.negated ? `Matches any character that is NOT ${what}` : `Matches ${what}`;
+    }
+
+    getInlineFlagsExplanation(node) {
+        const parts = [];
+        if (node.enable) parts.push(`enables ${node.enable.split('').join(', ')}`);
+        if (node.disable) parts.push(`disables ${node.disable.split('').join(', ')}`);
+        return parts.join('; ') || 'no modifiers';
     }
 
-    getFlagsExplanation(flags) {
+    getFlagsExplanation(flags, flavor) {
         const flagExplanations = [];
 
         if (flags.includes('g')) flagExplanations.push('global (find all matches)');
@@ -298,44 +909,169 @@ export class RegexEngine {
         if (flags.includes('m')) flagExplanations.push('multiline (^ and $ match line breaks)');
         if (flags.includes('s')) flagExplanations.push('single line (. matches newlines)');
         if (flags.includes('u')) flagExplanations.push('unicode');
+        if (flags.includes('v')) flagExplanations.push('unicode sets (set operations and string properties in classes)');
         if (flags.includes('y')) flagExplanations.push('sticky');
+        if (flags.includes('d')) flagExplanations.push('indices (start and end offsets of every group)');
+        if (flags.includes('x')) flagExplanations.push('verbose (whitespace and # comments are ignored)');
+        if (flags.includes('U')) flagExplanations.push('ungreedy (quantifiers are lazy by default)');
+        if (flags.includes('n')) flagExplanations.push('explicit capture (only named groups capture)');
+        if (flags.includes('A')) {
+            flagExplanations.push(flavor === 'xregexp'
+                ? 'astral (Unicode tokens match code points above U+FFFF)'
+                : 'anchored (matches only at the start position)');
+        }
+        if (flags.includes('D')) flagExplanations.push('dollar end only ($ does not match before a trailing newline)');
+        if (flags.includes('a')) flagExplanations.push('ASCII-only matching for \\w, \\d, \\s and \\b');
 
         return flagExplanations.join(', ');
     }
 
     formatExplanation(explanations) {
-        let html = '<div class="regex-explanation">';
+        return `<ul class="explanation-tree">${this.formatExplanationNodes(explanations)}</ul>`;
+    }
+
+    // Renders the explanation entries as a collapsible tree; data-start/data-end
+    // link every node back to its span in the pattern
+    formatExplanationNodes(explanations) {
+        let html = '';
 
         explanations.forEach(exp => {
+            const hasChildren = exp.children.length > 0;
+            const range = exp.start !== null ? ` data-start="${exp.start}" data-end="${exp.end}"` : '';
+
             html += `
-                <div class="explanation-part">
-                    <code>${this.escapeHtml(exp.token)}</code>
-                    <span>${exp.description}</span>
-                </div>
+                <li class="explanation-node"${range}>
+                    <div class="explanation-part">
+                        ${hasChildren
+                            ? '<button class="explanation-toggle" title="Ein-/Ausklappen"><i class="fas fa-chevron-down"></i></button>'
+                            : '<span class="explanation-toggle-placeholder"></span>'}
+                        <code>${this.escapeHtml(exp.token)}</code>
+                        <span>${this.escapeHtml(exp.description)}</span>
+                    </div>
+                    ${hasChildren ? `<ul class="explanation-children">${this.formatExplanationNodes(exp.children)}</ul>` : ''}
+                </li>
             `;
         });
 
-        html += '</div>';
         return html;
     }
 
-    // Flavor converters (basic implementations)
-    convertPCREToJS(pattern) {
-        // Basic PCRE to JavaScript conversions
-        return pattern
-            .replace(/\\A/g, '^')
-            .replace(/\\Z/g, '$')
-            .replace(/\\z/g, '$');
+    // Returns the [start, end] offsets in testString that the pattern span
+    // patternStart..patternEnd matched, one entry per match. The span is wrapped
+    // in a temporary named group and read back through the d flag indices.
+    findSpanMatches(pattern, flags, testString, flavor, patternStart, patternEnd) {
+        try {
+            const ast = this.parse(pattern, flavor, flags);
+            let start = patternStart;
+            let end = patternEnd;
+            let wrappable = true;
+            const names = [];
+
+            walkAst(ast, node => {
+                // Class members cannot be wrapped, use the whole class instead
+                if (node.type === 'CharacterClass' && node.start < start && end <= node.end) {
+                    start = node.start;
+                    end = node.end;
+                }
+                if ((node.type === 'InlineFlags' || node.type === 'Comment') && node.start === start && node.end === end) {
+                    wrappable = false;
+                }
+                if (node.type === 'Group' && node.kind === 'named') {
+                    names.push(node.name);
+                }
+            });
+
+            if (!wrappable) {
+                return [];
+            }
+
+            // A plain group would not capture under XRegExp's n flag
+            let name = 'span';
+            while (names.includes(name)) {
+                name = '_' + name;
+            }
+            const open = flavor === 'python' ? `(?P<${name}>` : `(?<${name}>`;
+
+            // The temporary group shifts the numbers of all groups opened after it
+            let groupIndex = 1;
+            const edits = [
+                { offset: start, remove: 0, text: open },
+                { offset: end, remove: 0, text: ')' }
+            ];
+
+            walkAst(ast, node => {
+                if (node.type === 'Group' && node.index !== undefined && node.start < start) {
+                    groupIndex++;
+                }
+            });
+
+            walkAst(ast, node => {
+                if (node.type !== 'Backreference' || node.index === undefined) return;
+
+                // \g{-1} counts back from the reference, it only needs one more step
+                // when the temporary group opens between the referenced group and it
+                const relative = /^\\g\{?-/.test(node.raw);
+                const shifted = relative
+                    ? node.index < groupIndex && start <= node.start
+                    : node.index >= groupIndex;
+
+                if (shifted) {
+                    edits.push({
+                        offset: node.start,
+                        remove: node.end - node.start,
+                        text: node.raw.replace(/\d+/, number => String(Number(number) + 1))
+                    });
+                }
+            });
+
+            let instrumented = pattern;
+            edits
+                .sort((x, y) => y.offset - x.offset || y.remove - x.remove)
+                .forEach(edit => {
+                    instrumented = instrumented.slice(0, edit.offset) + edit.text + instrumented.slice(edit.offset + edit.remove);
+                });
+
+            const indicesFlags = flags.includes('d') ? flags : flags + 'd';
+            const regex = this.createRegex(instrumented, indicesFlags, flavor);
+            const matches = this.findMatches(regex, testString, flags.includes('g'));
+
+            return matches
+                .map(match => match.indices && match.indices.groups && match.indices.groups[name])
+                .filter(Boolean);
+        } catch (error) {
+            return [];
+        }
     }
 
-    convertPythonToJS(pattern) {
-        // Basic Python to JavaScript conversions
-        return pattern;
+    // Flavor converters, see src/js/flavors
+    convertPCREToJS(pattern, flags) {
+        const ast = this.parse(pattern, 'pcre', flags);
+        const translated = new PcreTranslator(ast, flags).translate();
+        return { pattern: translated.source, flags: translated.flags, groupMap: translated.groupMap };
     }
 
-    convertGoToJS(pattern) {
-        // Basic Go to JavaScript conversions
-        return pattern;
+    convertPythonToJS(pattern, flags) {
+        const ast = this.parse(pattern, 'python', flags);
+        const translated = new PythonTranslator(ast, flags).translate();
+        return { pattern: translated.source, flags: translated.flags, groupMap: translated.groupMap };
+    }
+
+    // XRegExp compiles its extended syntax to a native regex
+    convertXRegExpToJS(pattern, flags) {
+        const regex = XRegExp(pattern, flags);
+        return { pattern: regex.source, flags: regex.flags, captureNames: regex.xregexp.captureNames };
+    }
+
+    convertGoToJS(pattern, flags) {
+        let ast;
+        try {
+            ast = this.parse(pattern, 'golang', flags);
+        } catch (error) {
+            throw error instanceof RegexSyntaxError ? toGoSyntaxError(error, pattern) : error;
+        }
+
+        const translated = new GoTranslator(ast, flags).translate();
+        return { pattern: translated.source, flags: translated.flags, groupMap: translated.groupMap };
     }
 
     escapeHtml(text) {
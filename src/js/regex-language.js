@@ -0,0 +1,361 @@
+// src/js/regex-language.js
+import { POSIX_CLASSES } from './regex-translator.js';
+
+// Syntax differences between the flavors that matter for highlighting and
+// completion, the parser has the complete list (FLAVOR_FEATURES in regex-parser.js).
+// references are the openers of named backreferences with their closing character.
+const FLAVOR_SYNTAX = {
+    javascript: {
+        comments: false,
+        quotedLiterals: false,
+        posixClasses: false,
+        leadingBracketLiteral: false,
+        anchorEscapes: '',
+        groupNames: /\(\?<\w+>/,
+        namedBackreferences: /\\k<\w+>/,
+        properties: /\\[pP]\{[\w=]+\}/,
+        possessive: false,
+        braceMinOptional: false,
+        escapeCompletions: 'dDwWsSbBnrtvf0',
+        references: [['\\k<', '>']]
+    },
+    xregexp: {
+        comments: true,
+        quotedLiterals: false,
+        posixClasses: false,
+        leadingBracketLiteral: false,
+        anchorEscapes: '',
+        groupNames: /\(\?<\w+>/,
+        namedBackreferences: /\\k<\w+>/,
+        properties: /\\[pP](?:\{\^?[\w=&-]+\}|[A-Za-z])/,
+        possessive: false,
+        braceMinOptional: false,
+        escapeCompletions: 'dDwWsSbBnrtvf0',
+        references: [['\\k<', '>']]
+    },
+    pcre: {
+        comments: true,
+        quotedLiterals: true,
+        posixClasses: true,
+        leadingBracketLiteral: true,
+        anchorEscapes: 'AZzG',
+        groupNames: /\(\?(?:P?<\w+>|'\w+')/,
+        namedBackreferences: /\\k(?:<\w+>|'\w+'|\{\w+\})|\\g(?:\{-?\w+\}|-?\d+)|\(\?P=\w+\)/,
+        properties: /\\[pP](?:\{\^?[\w&-]+\}|[A-Za-z])/,
+        possessive: true,
+        braceMinOptional: false,
+        escapeCompletions: 'dDwWsShHvVNRbBAZzGKnrtf0',
+        references: [['\\k<', '>'], ['\\k\'', '\''], ['\\k{', '}'], ['\\g{', '}'], ['(?P=', ')']]
+    },
+    python: {
+        comments: true,
+        quotedLiterals: false,
+        posixClasses: false,
+        leadingBracketLiteral: true,
+        anchorEscapes: 'AZ',
+        groupNames: /\(\?P<\w+>/,
+        namedBackreferences: /\(\?P=\w+\)/,
+        properties: null,
+        possessive: true,
+        braceMinOptional: true,
+        escapeCompletions: 'dDwWsSbBAZnrtvf0',
+        references: [['(?P=', ')']]
+    },
+    golang: {
+        comments: false,
+        quotedLiterals: true,
+        posixClasses: true,
+        leadingBracketLiteral: true,
+        anchorEscapes: 'Az',
+        groupNames: /\(\?P?<\w+>/,
+        namedBackreferences: null,
+        properties: /\\[pP](?:\{\^?\w+\}|[A-Za-z])/,
+        possessive: false,
+        braceMinOptional: false,
+        escapeCompletions: 'dDwWsSbBAznrtvf',
+        references: []
+    }
+};
+
+// Token names of the theme rules below. Escapes, classes and backreferences
+// are "string" tokens so that the brackets inside them are not paired up.
+export const REGEX_TOKEN_RULES = {
+    dark: [
+        { token: 'group', foreground: '4FC1FF', fontStyle: 'bold' },
+        { token: 'keyword.flags', foreground: '4FC1FF' },
+        { token: 'keyword.quantifier', foreground: '569CD6' },
+        { token: 'keyword.anchor', foreground: 'C586C0' },
+        { token: 'keyword.alternation', foreground: 'C586C0', fontStyle: 'bold' },
+        { token: 'keyword.dot', foreground: 'DCDCAA' },
+        { token: 'string.class', foreground: 'CE9178' },
+        { token: 'string.class.posix', foreground: 'D7BA7D' },
+        { token: 'string.escape', foreground: 'D7BA7D' },
+        { token: 'string.quoted', foreground: 'E0E0E0' },
+        { token: 'string.backreference', foreground: '9CDCFE' },
+        { token: 'comment', foreground: '6A9955', fontStyle: 'italic' },
+        { token: 'invalid', foreground: 'F44747' }
+    ],
+    light: [
+        { token: 'group', foreground: '0070C1', fontStyle: 'bold' },
+        { token: 'keyword.flags', foreground: '0070C1' },
+        { token: 'keyword.quantifier', foreground: '0000FF' },
+        { token: 'keyword.anchor', foreground: 'AF00DB' },
+        { token: 'keyword.alternation', foreground: 'AF00DB', fontStyle: 'bold' },
+        { token: 'keyword.dot', foreground: '795E26' },
+        { token: 'string.class', foreground: 'A31515' },
+        { token: 'string.class.posix', foreground: 'B5610B' },
+        { token: 'string.escape', foreground: 'B5610B' },
+        { token: 'string.quoted', foreground: '1A1A1A' },
+        { token: 'string.backreference', foreground: '001080' },
+        { token: 'comment', foreground: '008000', fontStyle: 'italic' },
+        { token: 'invalid', foreground: 'CD3131' }
+    ]
+};
+
+// Language ids are per flavor, see registerRegexLanguages()
+export function regexLanguageId(flavor) {
+    return `regex-${FLAVOR_SYNTAX[flavor] ? flavor : 'javascript'}`;
+}
+
+// Monarch tokenizer for one flavor
+function createTokenizer(syntax) {
+    // Python also accepts {,n}
+    const braces = syntax.braceMinOptional ? '\\{(?:\\d+(?:,\\d*)?|,\\d+)\\}' : '\\{\\d+(?:,\\d*)?\\}';
+    const quantifier = new RegExp(`(?:[*+?]|${braces})${syntax.possessive ? '[?+]?' : '\\??'}`);
+    const escape = /\\(?:x[0-9a-fA-F]{2}|x\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|u\{[0-9a-fA-F]+\}|c[A-Za-z]|0[0-7]{0,2}|[^\d])/;
+    const properties = syntax.properties ? [[syntax.properties, 'string.escape']] : [];
+
+    const root = [];
+    if (syntax.comments) {
+        root.push([/\(\?#[^)]*\)?/, 'comment']);
+    }
+    if (syntax.quotedLiterals) {
+        root.push([/\\Q/, { token: 'string.escape', next: '@quoted' }]);
+    }
+    if (syntax.namedBackreferences) {
+        root.push([syntax.namedBackreferences, 'string.backreference']);
+    }
+    root.push(
+        [/\(\?[a-zA-Z]*(?:-[a-zA-Z]*)?\)/, 'keyword.flags'],
+        [syntax.groupNames, 'group'],
+        [/\(\?(?:[:=!>|]|<[=!]|[a-zA-Z]*(?:-[a-zA-Z]*)?:)?|\(|\)/, 'group'],
+        [syntax.leadingBracketLiteral ? /\[\^?\]?/ : /\[\^?/, { token: 'string.class', next: '@class' }],
+        [quantifier, 'keyword.quantifier'],
+        [/[\^$]/, 'keyword.anchor'],
+        [/\|/, 'keyword.alternation'],
+        [/\./, 'keyword.dot'],
+        [new RegExp(`\\\\[bB${syntax.anchorEscapes}]`), 'keyword.anchor'],
+        [/\\[1-9]\d*/, 'string.backreference'],
+        ...properties,
+        [escape, 'string.escape'],
+        [/\\$/, 'invalid'],
+        [/[^\\()[\]{}*+?^$|.]+|./, '']
+    );
+
+    const characterClass = [];
+    if (syntax.posixClasses) {
+        characterClass.push([/\[:\^?[a-z]+:\]/, 'string.class.posix']);
+    }
+    characterClass.push(
+        ...properties,
+        [escape, 'string.escape'],
+        [/\]/, { token: 'string.class', next: '@pop' }],
+        [/[^\\\][]+|\[|\\$/, 'string.class']
+    );
+
+    return {
+        root,
+        class: characterClass,
+        quoted: [
+            [/\\E/, { token: 'string.escape', next: '@pop' }],
+            [/[^\\]+|\\/, 'string.quoted']
+        ]
+    };
+}
+
+export function registerRegexLanguages(monaco) {
+    Object.entries(FLAVOR_SYNTAX).forEach(([flavor, syntax]) => {
+        const id = regexLanguageId(flavor);
+
+        monaco.languages.register({ id });
+        monaco.languages.setMonarchTokensProvider(id, {
+            // Keeps "regex" out of the token names, Monaco treats such tokens like strings
+            tokenPostfix: '.pattern',
+            defaultToken: '',
+            tokenizer: createTokenizer(syntax)
+        });
+        monaco.languages.setLanguageConfiguration(id, {
+            brackets: [['(', ')']],
+            autoClosingPairs: [],
+            surroundingPairs: [
+                { open: '(', close: ')' },
+                { open: '[', close: ']' }
+            ]
+        });
+    });
+}
+
+// Property names offered after \p{, the descriptions come from the engine
+const GENERAL_CATEGORIES = ['L', 'Lu', 'Ll', 'Lt', 'Lm', 'Lo', 'M', 'Mn', 'Mc', 'Me', 'N', 'Nd', 'Nl', 'No',
+    'P', 'Pc', 'Pd', 'Ps', 'Pe', 'Pi', 'Pf', 'Po', 'S', 'Sm', 'Sc', 'Sk', 'So', 'Z', 'Zs', 'Zl', 'Zp', 'C', 'Cc', 'Cf', 'Co'];
+const SCRIPTS = ['Latin', 'Greek', 'Cyrillic', 'Armenian', 'Hebrew', 'Arabic', 'Devanagari', 'Thai',
+    'Georgian', 'Hangul', 'Hiragana', 'Katakana', 'Han', 'Common'];
+// Go and PCRE know scripts but none of these
+const BINARY_PROPERTIES = ['Alphabetic', 'Uppercase', 'Lowercase', 'White_Space', 'ASCII', 'Any', 'Emoji'];
+
+// Named groups of the pattern, read with a regex because the pattern is
+// usually incomplete while a reference is being typed
+function findGroupNames(pattern) {
+    const names = [...pattern.matchAll(/\(\?(?:P?<|')([A-Za-z_]\w*)[>']/g)].map(match => match[1]);
+    return [...new Set(names)];
+}
+
+function escapeForRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Hover contents are Markdown, the explanations mention things like \r\n
+function escapeMarkdown(text) {
+    return text.replace(/[\\`*_{}[\]()#+\-.!<>|]/g, '\\$&');
+}
+
+// Completion items for the text in front of the cursor, null if nothing fits
+function getCompletions(syntax, flavor, context) {
+    const { monaco, engine, flags, pattern, before, position } = context;
+    const describe = (sample) => {
+        try {
+            const entry = engine.explainAt(sample, flags, flavor, 0);
+            return entry ? entry.description : '';
+        } catch (error) {
+            return '';
+        }
+    };
+    const range = (typed) => new monaco.Range(position.lineNumber, position.column - typed.length,
+        position.lineNumber, position.column);
+    const Kind = monaco.languages.CompletionItemKind;
+
+    // Named group after \k< and friends
+    for (const [opener, closer] of syntax.references) {
+        const match = before.match(new RegExp(`${escapeForRegExp(opener)}(\\w*)$`));
+        if (match) {
+            return findGroupNames(pattern).map(name => ({
+                label: name,
+                kind: Kind.Reference,
+                detail: `Backreference to the group named "${name}"`,
+                insertText: name + closer,
+                range: range(match[1])
+            }));
+        }
+    }
+
+    // Unicode property after \p{
+    const property = syntax.properties && before.match(/\\[pP]\{\^?([\w=]*)$/);
+    if (property) {
+        const names = [
+            ...GENERAL_CATEGORIES,
+            ...SCRIPTS.map(script => (flavor === 'javascript' ? `Script=${script}` : script)),
+            ...(flavor === 'javascript' || flavor === 'xregexp' ? BINARY_PROPERTIES : [])
+        ];
+        return names.map(name => ({
+            label: name,
+            kind: Kind.EnumMember,
+            documentation: describe(`\\p{${name}}`),
+            insertText: `${name}}`,
+            range: range(property[1])
+        }));
+    }
+
+    // POSIX class after [: inside a character class
+    const posix = syntax.posixClasses && before.match(/\[[^\]]*\[:\^?(\w*)$/);
+    if (posix) {
+        return Object.entries(POSIX_CLASSES).map(([name, content]) => ({
+            label: name,
+            kind: Kind.Constant,
+            documentation: `POSIX class "${name}", matches [${content}]`,
+            insertText: `${name}:]`,
+            range: range(posix[1])
+        }));
+    }
+
+    // Escape after an unescaped backslash
+    const escape = before.match(/(?:^|[^\\])(?:\\\\)*\\(\w?)$/);
+    if (escape) {
+        const items = [...syntax.escapeCompletions].map(char => ({
+            label: `\\${char}`,
+            kind: Kind.Keyword,
+            documentation: describe(`\\${char}`),
+            insertText: char,
+            filterText: char,
+            range: range(escape[1])
+        }));
+        // Openers bring up the next list right away
+        const openers = [];
+        if (syntax.properties) {
+            openers.push(['p{', 'Unicode property'], ['P{', 'Negated Unicode property']);
+        }
+        const reference = syntax.references.find(([opener]) => opener.startsWith('\\'));
+        if (reference) {
+            openers.push([reference[0].slice(1), 'Backreference to a named group']);
+        }
+        if (syntax.quotedLiterals) {
+            openers.push(['Q', 'Matches everything up to \\E literally']);
+        }
+        openers.forEach(([text, detail]) => {
+            items.push({
+                label: `\\${text}`,
+                kind: Kind.Snippet,
+                detail,
+                insertText: text,
+                filterText: text,
+                range: range(escape[1]),
+                command: text === 'Q' ? undefined : { id: 'editor.action.triggerSuggest', title: 'Suggest' }
+            });
+        });
+        return items;
+    }
+
+    return null;
+}
+
+// Completion and hover cards for the pattern editor. getFlags returns the
+// current flags, they change what the explanations say.
+export function registerRegexAssist(monaco, { engine, getFlags }) {
+    Object.entries(FLAVOR_SYNTAX).forEach(([flavor, syntax]) => {
+        const id = regexLanguageId(flavor);
+
+        monaco.languages.registerCompletionItemProvider(id, {
+            triggerCharacters: ['\\', '{', '<', ':', '\'', '='],
+            provideCompletionItems(model, position) {
+                const pattern = model.getValue();
+                const before = pattern.slice(0, model.getOffsetAt(position));
+                const suggestions = getCompletions(syntax, flavor, {
+                    monaco, engine, flags: getFlags(), pattern, before, position
+                });
+                return { suggestions: suggestions || [] };
+            }
+        });
+
+        monaco.languages.registerHoverProvider(id, {
+            provideHover(model, position) {
+                let entry;
+                try {
+                    entry = engine.explainAt(model.getValue(), getFlags(), flavor, model.getOffsetAt(position));
+                } catch (error) {
+                    // Syntax errors have their own marker hover
+                    return null;
+                }
+                if (!entry) return null;
+
+                const start = model.getPositionAt(entry.start);
+                const end = model.getPositionAt(entry.end);
+                return {
+                    range: new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column),
+                    contents: [
+                        { value: '```\n' + entry.token + '\n```' },
+                        { value: escapeMarkdown(entry.description) }
+                    ]
+                };
+            }
+        });
+    });
+}
@@ -0,0 +1,848 @@
+// src/js/regex-parser.js
+
+// Fehler beim Parsen, enthält die Position im Pattern
+export class RegexSyntaxError extends Error {
+    constructor(message, offset) {
+        super(message);
+        this.name = 'RegexSyntaxError';
+        this.offset = offset;
+    }
+}
+
+// Hints for the error panel, matched against the messages of the parser,
+// the flavor translators and the browser. The first match wins.
+const SYNTAX_ERROR_HINTS = [
+    [/unterminated group|missing closing \)/i,
+        'A group was opened with ( but never closed. Add the missing ) or escape the parenthesis as \\(.'],
+    [/unmatched closing parenthesis|unmatched '\)'|unexpected \)/i,
+        'There is a ) without a matching (. Remove it or escape it as \\) to match a literal parenthesis.'],
+    [/nothing to repeat|missing argument to repetition|nested repetition/i,
+        'A quantifier (*, +, ?, {n}) needs something in front of it. Escape it as \\*, \\+ or \\? to match the character itself.'],
+    [/lone quantifier brackets|incomplete quantifier/i,
+        'With the u or v flag a { or } that is not part of a quantifier has to be escaped as \\{ or \\}.'],
+    [/unterminated character class|missing closing \]/i,
+        'A character class was opened with [ but never closed. Add the missing ] or escape the bracket as \\[.'],
+    [/range out of order|invalid character class range/i,
+        'In a range like [a-z] the first character must not come after the second. Swap them, or put - at the start or end of the class to match it literally.'],
+    [/numbers out of order|invalid repeat count/i,
+        'In {min,max} the minimum must not be larger than the maximum.'],
+    [/at end of pattern|trailing backslash/i,
+        'The pattern ends with a single backslash. Write \\\\ to match a backslash.'],
+    [/unterminated comment/i,
+        'A comment (?#...) has to be closed with ).'],
+    [/duplicate (capture )?group name/i,
+        'Every named group needs a name of its own. Rename one of the groups.'],
+    [/unknown group name|invalid group reference|invalid named (capture )?reference/i,
+        'The backreference points to a group that does not exist. Check the group number or name.'],
+    [/fixed.width|not fixed length/i,
+        'This flavor only allows lookbehinds of a fixed length. Replace quantifiers like * or + inside the lookbehind.'],
+    [/unsupported in this offline engine/i,
+        'The construct exists in this flavor but cannot be emulated in the browser. Rewrite the pattern without it.'],
+    [/invalid group|unrecognized character after \(\?|unknown extension|perl syntax|invalid (named )?capture/i,
+        'The text after (? is no known group type. Escape the ? if a literal question mark is meant.'],
+    [/bad escape|invalid escape|escape sequence/i,
+        'The escape sequence is unknown in this flavor. Remove the backslash or write \\\\ for a literal backslash.'],
+    [/property/i,
+        'Unicode properties are written as \\p{Name}. Check the name; JavaScript also needs the u flag.'],
+    [/flag/i,
+        'A flag or inline modifier is not available in this flavor.']
+];
+
+export function getSyntaxErrorHint(message) {
+    const entry = SYNTAX_ERROR_HINTS.find(([test]) => test.test(message));
+    return entry ? entry[1] : null;
+}
+
+const CHARACTER_TYPES = ['d', 'D', 'w', 'W', 's', 'S'];
+
+const CONTROL_ESCAPES = {
+    'n': '\n',
+    'r': '\r',
+    't': '\t',
+    'v': '\v',
+    'f': '\f'
+};
+
+// Syntax differences between the flavors that affect parsing.
+// pcreSyntax covers \K, \R, \h, \v, \N and branch reset groups (?|...),
+// quotedLiterals is \Q...\E
+const FLAVOR_FEATURES = {
+    javascript: {
+        leadingBracketLiteral: false,
+        posixClasses: false,
+        anchorEscapes: false,
+        singleLetterProperty: false,
+        gBackreferences: false,
+        braceMinOptional: false,
+        pcreSyntax: false,
+        quotedLiterals: false,
+        octalEscapes: false
+    },
+    python: {
+        leadingBracketLiteral: true,
+        posixClasses: false,
+        anchorEscapes: true,
+        singleLetterProperty: false,
+        gBackreferences: false,
+        braceMinOptional: true,
+        pcreSyntax: false,
+        quotedLiterals: false,
+        octalEscapes: true
+    },
+    pcre: {
+        leadingBracketLiteral: true,
+        posixClasses: true,
+        anchorEscapes: true,
+        singleLetterProperty: true,
+        gBackreferences: true,
+        braceMinOptional: false,
+        pcreSyntax: true,
+        quotedLiterals: true,
+        octalEscapes: true
+    },
+    xregexp: {
+        leadingBracketLiteral: false,
+        posixClasses: false,
+        anchorEscapes: false,
+        singleLetterProperty: true,
+        gBackreferences: false,
+        braceMinOptional: false,
+        pcreSyntax: false,
+        quotedLiterals: false,
+        octalEscapes: false
+    },
+    golang: {
+        leadingBracketLiteral: true,
+        posixClasses: true,
+        anchorEscapes: true,
+        singleLetterProperty: true,
+        gBackreferences: false,
+        braceMinOptional: false,
+        pcreSyntax: false,
+        quotedLiterals: true,
+        octalEscapes: true
+    }
+};
+
+// Parses a regular expression into an AST. Every node carries its
+// start/end offset and raw source so that consumers can map back to the pattern.
+export class RegexParser {
+    constructor(options = {}) {
+        this.flavor = options.flavor || 'javascript';
+        this.features = FLAVOR_FEATURES[this.flavor] || FLAVOR_FEATURES.javascript;
+        // Free-spacing mode (x flag): whitespace and # comments are ignored
+        this.initialExtended = options.extended || false;
+        // XRegExp's n flag: only named groups capture
+        this.explicitCapture = options.explicitCapture || false;
+    }
+
+    parse(pattern) {
+        this.pattern = pattern;
+        this.pos = 0;
+        this.groupCount = 0;
+        this.groupNames = [];
+        this.extended = this.initialExtended;
+
+        const body = this.parseAlternation();
+
+        if (this.pos < pattern.length) {
+            // parseAlternation only stops early on a stray ')'
+            throw new RegexSyntaxError('Unmatched closing parenthesis', this.pos);
+        }
+
+        return this.node('Regex', 0, pattern.length, {
+            body,
+            groupCount: this.groupCount,
+            groupNames: this.groupNames
+        });
+    }
+
+    // Helpers
+
+    node(type, start, end, props = {}) {
+        return { type, start, end, raw: this.pattern.slice(start, end), ...props };
+    }
+
+    peek(offset = 0) {
+        return this.pattern[this.pos + offset];
+    }
+
+    lookingAt(str) {
+        return this.pattern.startsWith(str, this.pos);
+    }
+
+    isEnd() {
+        return this.pos >= this.pattern.length;
+    }
+
+    error(message, offset = this.pos) {
+        throw new RegexSyntaxError(message, offset);
+    }
+
+    // Structure
+
+    // In a branch reset group (?|...) every alternative numbers its groups from the same start
+    parseAlternation(branchReset = false) {
+        const start = this.pos;
+        const firstGroup = this.groupCount;
+        let lastGroup = this.groupCount;
+
+        const alternatives = [this.parseSequence()];
+
+        while (this.peek() === '|') {
+            this.pos++;
+            if (branchReset) {
+                lastGroup = Math.max(lastGroup, this.groupCount);
+                this.groupCount = firstGroup;
+            }
+            alternatives.push(this.parseSequence());
+        }
+
+        if (branchReset) {
+            this.groupCount = Math.max(lastGroup, this.groupCount);
+        }
+
+        if (alternatives.length === 1) {
+            return alternatives[0];
+        }
+
+        return this.node('Alternation', start, this.pos, { alternatives });
+    }
+
+    parseSequence() {
+        const start = this.pos;
+        const elements = [];
+
+        while (!this.isEnd() && this.peek() !== '|' && this.peek() !== ')') {
+            if (this.extended) {
+                const trivia = this.parseTrivia();
+                if (trivia) {
+                    elements.push(trivia);
+                    continue;
+                }
+            }
+
+            if (this.features.quotedLiterals && this.lookingAt('\\Q')) {
+                elements.push(...this.parseQuote());
+                continue;
+            }
+            if (this.features.quotedLiterals && this.lookingAt('\\E')) {
+                // A stray \E is ignored
+                this.pos += 2;
+                elements.push(this.node('Comment', this.pos - 2, this.pos, { text: '' }));
+                continue;
+            }
+
+            const atom = this.parseAtom();
+            elements.push(this.parseQuantifier(atom));
+        }
+
+        return this.node('Sequence', start, this.pos, { elements });
+    }
+
+    // \Q...\E quotes everything up to \E; a following quantifier applies to the last character
+    parseQuote() {
+        const quoteStart = this.pos;
+        this.pos += 2;
+
+        let end = this.pattern.indexOf('\\E', this.pos);
+        if (end === -1) {
+            end = this.pattern.length;
+        }
+
+        const characters = [];
+        while (this.pos < end) {
+            const character = this.parseLiteral();
+            character.quoted = true;
+            characters.push(character);
+        }
+        this.pos = Math.min(end + 2, this.pattern.length);
+
+        if (characters.length === 0) {
+            return [this.node('Comment', quoteStart, this.pos, { text: '' })];
+        }
+
+        const last = characters.pop();
+        return [...characters, this.parseQuantifier(last)];
+    }
+
+    // In free-spacing mode whitespace and comments are collected as Comment nodes
+    parseTrivia() {
+        const start = this.pos;
+
+        while (!this.isEnd()) {
+            if (/\s/.test(this.peek())) {
+                this.pos++;
+            } else if (this.peek() === '#') {
+                const end = this.pattern.indexOf('\n', this.pos);
+                this.pos = end === -1 ? this.pattern.length : end + 1;
+            } else {
+                break;
+            }
+        }
+
+        if (this.pos === start) {
+            return null;
+        }
+
+        const text = this.pattern.slice(start, this.pos);
+        return this.node('Comment', start, this.pos, { text, extended: true });
+    }
+
+    parseQuantifier(atom) {
+        // "a +" is still a quantified "a" in free-spacing mode
+        const beforeTrivia = this.pos;
+        if (this.extended) {
+            this.parseTrivia();
+        }
+
+        const quantifier = this.readQuantifier();
+        if (!quantifier) {
+            this.pos = beforeTrivia;
+            return atom;
+        }
+
+        if (!this.isQuantifiable(atom)) {
+            this.error('Nothing to repeat', quantifier.start);
+        }
+
+        const node = this.node('Quantifier', atom.start, this.pos, {
+            min: quantifier.min,
+            max: quantifier.max,
+            greedy: !quantifier.lazy && !quantifier.possessive,
+            lazy: quantifier.lazy,
+            possessive: quantifier.possessive,
+            quantifierStart: quantifier.start,
+            target: atom
+        });
+
+        // Two quantifiers in a row (a**) are an error in every flavor
+        const next = this.peek();
+        if (next === '*' || next === '+' || next === '?' || (next === '{' && this.peekBraceQuantifier())) {
+            this.error('Nothing to repeat', this.pos);
+        }
+
+        return node;
+    }
+
+    isQuantifiable(atom) {
+        if (atom.type === 'Anchor' || atom.type === 'Comment') {
+            return false;
+        }
+        if (atom.type === 'Group' && (atom.kind === 'lookbehind' || atom.kind === 'negativeLookbehind')) {
+            return false;
+        }
+        return true;
+    }
+
+    readQuantifier() {
+        const start = this.pos;
+        let min;
+        let max;
+
+        switch (this.peek()) {
+            case '*':
+                min = 0;
+                max = Infinity;
+                this.pos++;
+                break;
+            case '+':
+                min = 1;
+                max = Infinity;
+                this.pos++;
+                break;
+            case '?':
+                min = 0;
+                max = 1;
+                this.pos++;
+                break;
+            case '{': {
+                const brace = this.peekBraceQuantifier();
+                if (!brace) {
+                    return null;
+                }
+                min = brace.min;
+                max = brace.max;
+                this.pos += brace.length;
+                break;
+            }
+            default:
+                return null;
+        }
+
+        if (max < min) {
+            this.error('Numbers out of order in {} quantifier', start);
+        }
+
+        let lazy = false;
+        let possessive = false;
+        if (this.peek() === '?') {
+            lazy = true;
+            this.pos++;
+        } else if (this.peek() === '+') {
+            possessive = true;
+            this.pos++;
+        }
+
+        return { start, min, max, lazy, possessive };
+    }
+
+    // Returns the parsed {n}, {n,} or {n,m} at the current position, or null
+    // if the brace is not a valid quantifier (it is then a literal "{")
+    peekBraceQuantifier() {
+        const match = this.features.braceMinOptional
+            ? /^\{(\d*)(?:(,)(\d*))?\}/.exec(this.pattern.slice(this.pos))
+            : /^\{(\d+)(?:(,)(\d*))?\}/.exec(this.pattern.slice(this.pos));
+        // "{}" and "{,}" are literals even where the minimum may be omitted
+        if (!match || (!match[1] && !match[3])) {
+            return null;
+        }
+
+        const min = match[1] ? parseInt(match[1], 10) : 0;
+        let max = min;
+        if (match[2]) {
+            max = match[3] ? parseInt(match[3], 10) : Infinity;
+        }
+
+        return { min, max, length: match[0].length };
+    }
+
+    // Atoms
+
+    parseAtom() {
+        const start = this.pos;
+        const char = this.peek();
+
+        switch (char) {
+            case '(':
+                return this.parseGroup();
+
+            case '[':
+                return this.parseClass();
+
+            case '.':
+                this.pos++;
+                return this.node('Dot', start, this.pos);
+
+            case '^':
+                this.pos++;
+                return this.node('Anchor', start, this.pos, { kind: 'start' });
+
+            case '$':
+                this.pos++;
+                return this.node('Anchor', start, this.pos, { kind: 'end' });
+
+            case '\\':
+                return this.parseEscape(false);
+
+            case '*':
+            case '+':
+            case '?':
+                return this.error('Nothing to repeat');
+
+            case '{':
+                if (this.peekBraceQuantifier()) {
+                    return this.error('Nothing to repeat');
+                }
+                return this.parseLiteral();
+
+            default:
+                return this.parseLiteral();
+        }
+    }
+
+    parseLiteral() {
+        const start = this.pos;
+        const codePoint = this.pattern.codePointAt(this.pos);
+        const value = String.fromCodePoint(codePoint);
+        this.pos += value.length;
+        return this.node('Character', start, this.pos, { value, codePoint });
+    }
+
+    parseGroup() {
+        const start = this.pos;
+        this.pos++;
+
+        let kind = this.explicitCapture ? 'nonCapture' : 'capture';
+        let name = null;
+        let nameSyntax = null;
+
+        if (this.features.pcreSyntax && this.peek() === '*') {
+            this.error('Backtracking control verbs are unsupported in this offline engine', start);
+        }
+
+        if (this.peek() === '?') {
+            const rest = this.pattern.slice(this.pos + 1);
+            let match;
+
+            if (rest.startsWith(':')) {
+                kind = 'nonCapture';
+                this.pos += 2;
+            } else if (rest.startsWith('=')) {
+                kind = 'lookahead';
+                this.pos += 2;
+            } else if (rest.startsWith('!')) {
+                kind = 'negativeLookahead';
+                this.pos += 2;
+            } else if (rest.startsWith('<=')) {
+                kind = 'lookbehind';
+                this.pos += 3;
+            } else if (rest.startsWith('<!')) {
+                kind = 'negativeLookbehind';
+                this.pos += 3;
+            } else if (rest.startsWith('>')) {
+                kind = 'atomic';
+                this.pos += 2;
+            } else if (rest.startsWith('#')) {
+                return this.parseComment(start);
+            } else if (this.features.pcreSyntax && rest.startsWith('|')) {
+                kind = 'branchReset';
+                this.pos += 2;
+            } else if (this.features.pcreSyntax && /^(?:R\)|[+-]?\d+\)|&|P>)/.test(rest)) {
+                this.error('Recursion and subroutine calls are unsupported in this offline engine', start);
+            } else if (this.features.pcreSyntax && rest.startsWith('(')) {
+                this.error('Conditional groups are unsupported in this offline engine', start);
+            } else if ((match = /^(?:P?<([A-Za-z_][A-Za-z0-9_]*)>|'([A-Za-z_][A-Za-z0-9_]*)')/.exec(rest))) {
+                kind = 'named';
+                name = match[1] || match[2];
+                // Remember the spelling, not every flavor accepts all three
+                nameSyntax = match[0].startsWith('P') ? 'P<' : match[0][0];
+                this.pos += 1 + match[0].length;
+            } else if ((match = /^P=([A-Za-z_][A-Za-z0-9_]*)\)/.exec(rest))) {
+                this.pos += 1 + match[0].length;
+                return this.node('Backreference', start, this.pos, { name: match[1] });
+            } else if ((match = /^([a-zA-Z]*)(?:-([a-zA-Z]*))?([:)])/.exec(rest)) && (match[1] || match[2] !== undefined)) {
+                this.pos += 1 + match[0].length;
+                const enable = match[1] || '';
+                const disable = match[2] || '';
+
+                if (match[3] === ')') {
+                    // (?i) applies to the rest of the enclosing group
+                    this.applyExtendedFlag(enable, disable);
+                    return this.node('InlineFlags', start, this.pos, { enable, disable });
+                }
+
+                const outerExtended = this.extended;
+                this.applyExtendedFlag(enable, disable);
+                const group = this.finishGroup(start, { kind: 'flags', enable, disable });
+                this.extended = outerExtended;
+                return group;
+            } else {
+                this.error('Invalid group', start);
+            }
+        }
+
+        const props = { kind, name, nameSyntax };
+        if (kind === 'capture' || kind === 'named') {
+            props.index = ++this.groupCount;
+        }
+        if (kind === 'named') {
+            if (this.groupNames.includes(name)) {
+                this.error(`Duplicate capture group name "${name}"`, start);
+            }
+            this.groupNames.push(name);
+        }
+
+        return this.finishGroup(start, props);
+    }
+
+    applyExtendedFlag(enable, disable) {
+        if (enable.includes('x')) {
+            this.extended = true;
+        }
+        if (disable.includes('x')) {
+            this.extended = false;
+        }
+    }
+
+    finishGroup(start, props) {
+        const body = this.parseAlternation(props.kind === 'branchReset');
+
+        if (this.peek() !== ')') {
+            this.error('Unterminated group', start);
+        }
+        this.pos++;
+
+        return this.node('Group', start, this.pos, { ...props, body });
+    }
+
+    parseComment(start) {
+        const end = this.pattern.indexOf(')', this.pos);
+        if (end === -1) {
+            this.error('Unterminated comment', start);
+        }
+        const text = this.pattern.slice(this.pos + 2, end);
+        this.pos = end + 1;
+        return this.node('Comment', start, this.pos, { text });
+    }
+
+    parseClass() {
+        const start = this.pos;
+        this.pos++;
+
+        let negated = false;
+        if (this.peek() === '^') {
+            negated = true;
+            this.pos++;
+        }
+
+        const items = [];
+
+        // Outside JavaScript a leading "]" is a literal, not the end of the class
+        if (this.features.leadingBracketLiteral && this.peek() === ']') {
+            items.push(this.parseLiteral());
+        }
+
+        while (!this.isEnd() && this.peek() !== ']') {
+            const item = this.parseClassAtom();
+
+            if (this.peek() === '-' && this.peek(1) !== undefined && this.peek(1) !== ']') {
+                const dashPos = this.pos;
+                this.pos++;
+                const to = this.parseClassAtom();
+
+                if (item.type === 'Character' && to.type === 'Character') {
+                    if (to.codePoint < item.codePoint) {
+                        this.error('Range out of order in character class', item.start);
+                    }
+                    items.push(this.node('Range', item.start, to.end, { from: item, to }));
+                    continue;
+                }
+
+                // [\d-z] – the dash cannot form a range and is matched literally
+                items.push(item);
+                items.push(this.node('Character', dashPos, dashPos + 1, { value: '-', codePoint: 45 }));
+                items.push(to);
+                continue;
+            }
+
+            items.push(item);
+        }
+
+        if (this.isEnd()) {
+            this.error('Unterminated character class', start);
+        }
+        this.pos++;
+
+        return this.node('CharacterClass', start, this.pos, { negated, items });
+    }
+
+    parseClassAtom() {
+        if (this.peek() === '\\') {
+            return this.parseEscape(true);
+        }
+
+        const posix = this.features.posixClasses && /^\[:(\^?)([a-z]+):\]/.exec(this.pattern.slice(this.pos));
+        if (posix) {
+            const start = this.pos;
+            this.pos += posix[0].length;
+            return this.node('PosixClass', start, this.pos, { name: posix[2], negated: posix[1] === '^' });
+        }
+
+        return this.parseLiteral();
+    }
+
+    parseEscape(inClass) {
+        const start = this.pos;
+        this.pos++;
+
+        if (this.isEnd()) {
+            this.error('\\ at end of pattern', start);
+        }
+
+        const char = this.peek();
+        this.pos++;
+
+        if (CHARACTER_TYPES.includes(char)) {
+            return this.node('CharacterType', start, this.pos, { kind: char });
+        }
+
+        if (this.features.pcreSyntax && 'hHvVNR'.includes(char)) {
+            if (inClass && 'NR'.includes(char)) {
+                this.error(`Escape sequence \\${char} is invalid in a character class`, start);
+            }
+            return this.node('CharacterType', start, this.pos, { kind: char });
+        }
+
+        if (this.features.pcreSyntax && char === 'K' && !inClass) {
+            return this.node('Anchor', start, this.pos, { kind: 'keep' });
+        }
+
+        if (char === 'b' || char === 'B') {
+            if (inClass) {
+                // [\b] is a backspace
+                return this.node('Character', start, this.pos, { value: '\b', codePoint: 8, escaped: true });
+            }
+            return this.node('Anchor', start, this.pos, { kind: char === 'b' ? 'wordBoundary' : 'nonWordBoundary' });
+        }
+
+        if (!inClass && this.features.anchorEscapes && 'AZzG'.includes(char)) {
+            const kinds = { 'A': 'stringStart', 'Z': 'stringEndNewline', 'z': 'stringEnd', 'G': 'matchStart' };
+            return this.node('Anchor', start, this.pos, { kind: kinds[char] });
+        }
+
+        if (CONTROL_ESCAPES[char]) {
+            const value = CONTROL_ESCAPES[char];
+            return this.node('Character', start, this.pos, { value, codePoint: value.charCodeAt(0), escaped: true });
+        }
+
+        if (char === '0' && this.features.octalEscapes) {
+            // \0 followed by up to two more octal digits
+            const digits = /^[0-7]{0,2}/.exec(this.pattern.slice(this.pos))[0];
+            this.pos += digits.length;
+            const codePoint = parseInt('0' + digits, 8);
+            return this.node('Character', start, this.pos, { value: String.fromCharCode(codePoint), codePoint, escaped: true });
+        }
+
+        if (/[1-7]/.test(char) && inClass && this.features.octalEscapes) {
+            // There are no backreferences in a class, [\12] is a newline
+            const digits = /^[0-7]{0,2}/.exec(this.pattern.slice(this.pos))[0];
+            this.pos += digits.length;
+            const codePoint = parseInt(char + digits, 8);
+            return this.node('Character', start, this.pos, { value: String.fromCharCode(codePoint), codePoint, escaped: true });
+        }
+
+        if (char === '0' && !/[0-9]/.test(this.peek() || '')) {
+            return this.node('Character', start, this.pos, { value: '\0', codePoint: 0, escaped: true });
+        }
+
+        if (/[1-9]/.test(char) && !inClass) {
+            while (/[0-9]/.test(this.peek() || '')) {
+                this.pos++;
+            }
+            const index = parseInt(this.pattern.slice(start + 1, this.pos), 10);
+            return this.node('Backreference', start, this.pos, { index });
+        }
+
+        if (char === 'k' && !inClass) {
+            const match = /^(?:<([^>]+)>|\{([^}]+)\}|'([^']+)')/.exec(this.pattern.slice(this.pos));
+            if (match) {
+                this.pos += match[0].length;
+                return this.node('Backreference', start, this.pos, { name: match[1] || match[2] || match[3] });
+            }
+        }
+
+        if (char === 'g' && !inClass && this.features.gBackreferences) {
+            const match = /^(?:\{(-?\d+)\}|(-?\d+)|\{([A-Za-z_]\w*)\}|<([A-Za-z_]\w*)>)/.exec(this.pattern.slice(this.pos));
+            if (match) {
+                this.pos += match[0].length;
+                const number = match[1] || match[2];
+                if (number !== undefined) {
+                    let index = parseInt(number, 10);
+                    // \g{-1} refers to the most recently opened group
+                    if (index < 0) {
+                        index = this.groupCount + 1 + index;
+                    }
+                    return this.node('Backreference', start, this.pos, { index });
+                }
+                return this.node('Backreference', start, this.pos, { name: match[3] || match[4] });
+            }
+        }
+
+        if (char === 'p' || char === 'P') {
+            return this.parseUnicodeProperty(start, char === 'P');
+        }
+
+        if (char === 'c' && /[A-Za-z]/.test(this.peek() || '')) {
+            const letter = this.peek();
+            this.pos++;
+            const codePoint = letter.toUpperCase().charCodeAt(0) % 32;
+            return this.node('Character', start, this.pos, { value: String.fromCharCode(codePoint), codePoint, escaped: true });
+        }
+
+        if (char === 'x' || char === 'u') {
+            const hex = this.readHexEscape(char);
+            if (hex !== null) {
+                return this.node('Character', start, this.pos, { value: String.fromCodePoint(hex), codePoint: hex, escaped: true });
+            }
+        }
+
+        // Identity escape: \. \* \\ etc.
+        const codePoint = this.pattern.codePointAt(this.pos - 1);
+        const value = String.fromCodePoint(codePoint);
+        this.pos += value.length - 1;
+        return this.node('Character', start, this.pos, { value, codePoint, escaped: true });
+    }
+
+    readHexEscape(char) {
+        const rest = this.pattern.slice(this.pos);
+        const patterns = char === 'x'
+            ? [/^\{([0-9A-Fa-f]+)\}/, /^([0-9A-Fa-f]{2})/]
+            : [/^\{([0-9A-Fa-f]+)\}/, /^([0-9A-Fa-f]{4})/];
+
+        for (const re of patterns) {
+            const match = re.exec(rest);
+            if (match) {
+                const codePoint = parseInt(match[1], 16);
+                if (codePoint > 0x10FFFF) {
+                    this.error('Code point out of range', this.pos - 2);
+                }
+                this.pos += match[0].length;
+                return codePoint;
+            }
+        }
+
+        return null;
+    }
+
+    parseUnicodeProperty(start, negated) {
+        let body = null;
+
+        if (this.peek() === '{') {
+            const end = this.pattern.indexOf('}', this.pos);
+            if (end === -1) {
+                this.error('Unterminated Unicode property escape', start);
+            }
+            body = this.pattern.slice(this.pos + 1, end);
+            this.pos = end + 1;
+        } else if (this.features.singleLetterProperty && /[A-Za-z]/.test(this.peek() || '')) {
+            // Single-letter form \pL
+            body = this.peek();
+            this.pos++;
+        }
+
+        if (body === null) {
+            // Without braces JavaScript treats \p as a literal "p"
+            const value = negated ? 'P' : 'p';
+            return this.node('Character', start, this.pos, { value, codePoint: value.charCodeAt(0), escaped: true });
+        }
+
+        if (body.startsWith('^')) {
+            negated = !negated;
+            body = body.slice(1);
+        }
+
+        const [name, value] = body.includes('=') ? body.split('=') : [body, null];
+        return this.node('UnicodeProperty', start, this.pos, { negated, name, value });
+    }
+}
+
+// Calls visitor(node, parent) for every node of the tree, depth first
+export function walkAst(node, visitor, parent = null) {
+    if (!node) return;
+
+    visitor(node, parent);
+
+    switch (node.type) {
+        case 'Regex':
+        case 'Group':
+            walkAst(node.body, visitor, node);
+            break;
+        case 'Alternation':
+            node.alternatives.forEach(child => walkAst(child, visitor, node));
+            break;
+        case 'Sequence':
+            node.elements.forEach(child => walkAst(child, visitor, node));
+            break;
+        case 'Quantifier':
+            walkAst(node.target, visitor, node);
+            break;
+        case 'CharacterClass':
+            node.items.forEach(child => walkAst(child, visitor, node));
+            break;
+        case 'Range':
+            walkAst(node.from, visitor, node);
+            walkAst(node.to, visitor, node);
+            break;
+    }
+}
@@ -0,0 +1,128 @@
+// src/js/regex-runner.js
+import { RegexEngine } from './regex-engine.js';
+import { RegexSyntaxError } from './regex-parser.js';
+
+export const DEFAULT_TIMEOUT = 2000;
+
+// Ausführung hat das Zeitlimit überschritten
+export class RegexTimeoutError extends Error {
+    constructor(timeout) {
+        super(`Execution timed out after ${timeout} ms`);
+        this.name = 'RegexTimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+// Ausführung wurde durch eine neuere ersetzt
+export class RegexCancelledError extends Error {
+    constructor() {
+        super('Execution was cancelled');
+        this.name = 'RegexCancelledError';
+    }
+}
+
+// Runs RegexEngine.run() (or another engine method, see regex-worker.js) in a
+// Web Worker so that catastrophic backtracking cannot freeze the page. Only the
+// latest run counts: starting a new one cancels the pending one, and a run that
+// exceeds the timeout terminates the worker.
+export class RegexRunner {
+    constructor(timeout = DEFAULT_TIMEOUT, method = 'run') {
+        this.timeout = timeout;
+        this.method = method;
+        this.worker = null;
+        this.pending = null;
+        this.nextId = 1;
+        // Without worker support everything runs on the main thread
+        this.engine = new RegexEngine();
+    }
+
+    run(request) {
+        this.cancel();
+
+        const worker = this.getWorker();
+        if (!worker) {
+            try {
+                return Promise.resolve(this.engine[this.method](request));
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+
+        const id = this.nextId++;
+        const timeout = this.timeout;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending = null;
+                this.terminate();
+                reject(new RegexTimeoutError(timeout));
+            }, timeout);
+
+            this.pending = { id, resolve, reject, timer };
+            worker.postMessage({ id, method: this.method, substitution: null, ...request });
+        });
+    }
+
+    // A busy worker cannot be interrupted, so it is terminated and replaced on the next run
+    cancel() {
+        if (!this.pending) return;
+
+        const { reject, timer } = this.pending;
+        clearTimeout(timer);
+        this.pending = null;
+        this.terminate();
+        reject(new RegexCancelledError());
+    }
+
+    getWorker() {
+        if (!this.worker && typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(new URL('./regex-worker.js', import.meta.url), { type: 'module' });
+                this.worker.addEventListener('message', (e) => this.handleMessage(e));
+                this.worker.addEventListener('error', (e) => this.handleWorkerError(e));
+            } catch (error) {
+                console.warn('Web Worker not available, running on the main thread:', error);
+                this.worker = null;
+            }
+        }
+        return this.worker;
+    }
+
+    handleMessage(e) {
+        const { id, result, error } = e.data;
+
+        // Answers to cancelled runs are ignored
+        if (!this.pending || this.pending.id !== id) return;
+
+        const { resolve, reject, timer } = this.pending;
+        clearTimeout(timer);
+        this.pending = null;
+
+        if (error !== undefined) {
+            reject(error.name === 'RegexSyntaxError'
+                ? new RegexSyntaxError(error.message, error.offset)
+                : new Error(error.message));
+        } else {
+            resolve(result);
+        }
+    }
+
+    handleWorkerError(e) {
+        e.preventDefault();
+        this.terminate();
+
+        if (this.pending) {
+            const { reject, timer } = this.pending;
+            clearTimeout(timer);
+            this.pending = null;
+            reject(new Error(`Worker error: ${e.message || 'unknown error'}`));
+        }
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
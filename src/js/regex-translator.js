@@ -0,0 +1,590 @@
+// src/js/regex-translator.js
+import { RegexSyntaxError, walkAst } from './regex-parser.js';
+import { CharSet } from './char-set.js';
+
+// Characters that have to be escaped to be matched literally
+const SYNTAX_CHARACTERS = '\\^$.|?*+()[]{}/';
+const CLASS_SYNTAX_CHARACTERS = '\\]^-[';
+
+// Modifier groups like (?i:...) are only understood by recent engines
+const SUPPORTS_MODIFIERS = (() => {
+    try {
+        new RegExp('(?i:a)');
+        return true;
+    } catch (error) {
+        return false;
+    }
+})();
+
+// Properties that match the other case too under the i flag
+const CASED_PROPERTIES = ['Lu', 'Ll', 'Lt', 'Uppercase_Letter', 'Lowercase_Letter', 'Titlecase_Letter', 'Uppercase', 'Lowercase'];
+
+// The characters of a set plus their other case, the way the i flag matches them
+function addOtherCase(set) {
+    const variants = [];
+
+    set.ranges.forEach(([from, to]) => {
+        for (let codePoint = from; codePoint <= to; codePoint++) {
+            const char = String.fromCodePoint(codePoint);
+            for (const variant of [char.toLowerCase(), char.toUpperCase()]) {
+                // Ignores expansions like "ß" -> "SS"
+                if (variant !== char && [...variant].length === 1) {
+                    variants.push([variant.codePointAt(0), variant.codePointAt(0)]);
+                }
+            }
+        }
+    });
+
+    return set.union(new CharSet(variants));
+}
+
+// ASCII members of the POSIX classes, written as JavaScript class content
+export const POSIX_CLASSES = {
+    alnum: 'a-zA-Z0-9',
+    alpha: 'a-zA-Z',
+    ascii: '\\x00-\\x7F',
+    blank: ' \\t',
+    cntrl: '\\x00-\\x1F\\x7F',
+    digit: '0-9',
+    graph: '!-~',
+    lower: 'a-z',
+    print: ' -~',
+    punct: '!-\\/:-@\\[-`{-~',
+    space: ' \\t\\n\\r\\f\\v',
+    upper: 'A-Z',
+    word: 'a-zA-Z0-9_',
+    xdigit: '0-9A-Fa-f'
+};
+
+// Emits JavaScript regex source from an AST. Flavors subclass it and override
+// the emit methods whose semantics differ from JavaScript.
+// The output is always meant to be compiled with the u flag.
+//
+// Atomic groups and possessive quantifiers are emulated with (?=(X))\N, which
+// adds hidden capturing groups. A case change like (?i:...) needs modifier
+// groups; browsers without them get the i flag emulated per character. groupMap maps every group number of the source
+// pattern to its group number(s) in the output so that matches can be mapped back.
+export class RegexTranslator {
+    constructor(ast) {
+        this.ast = ast;
+    }
+
+    translate() {
+        this.computeGroupMap();
+        this.emulateCase = false;
+
+        let source = this.emitPattern();
+        // Second pass without the i flag, see emitModifierGroup()
+        if (this.caseChanged && !SUPPORTS_MODIFIERS) {
+            this.emulateCase = true;
+            source = this.emitPattern();
+        }
+
+        return { source, flags: this.getJsFlags(), groupMap: this.needsGroupMap() ? this.groupMap : null };
+    }
+
+    emitPattern() {
+        this.state = this.initialState();
+        this.initialIgnoreCase = this.emulateCase ? false : this.state.ignoreCase;
+        this.caseChanged = false;
+
+        return this.emit(this.ast.body);
+    }
+
+    // Flavor state that emulations depend on, changed by modifier groups
+    initialState() {
+        return { ignoreCase: false };
+    }
+
+    applyFlag(state, letter, enabled) {
+        if (letter === 'i') {
+            state.ignoreCase = enabled;
+        }
+    }
+
+    getJsFlags() {
+        return this.initialIgnoreCase ? 'iu' : 'u';
+    }
+
+    computeGroupMap() {
+        this.groupMap = {};
+        this.hiddenGroups = new Map();
+        let count = 0;
+
+        // walkAst visits nodes in the order their groups are opened in the output
+        walkAst(this.ast, node => {
+            if (node.type === 'Group' && node.index !== undefined) {
+                this.groupMap[node.index] = this.groupMap[node.index] || [];
+                this.groupMap[node.index].push(++count);
+            } else if (this.needsHiddenGroup(node)) {
+                this.hiddenGroups.set(node, ++count);
+            }
+        });
+    }
+
+    needsHiddenGroup(node) {
+        return (node.type === 'Group' && node.kind === 'atomic') || (node.type === 'Quantifier' && node.possessive);
+    }
+
+    needsGroupMap() {
+        return this.hiddenGroups.size > 0 || Object.values(this.groupMap).some(targets => targets.length > 1);
+    }
+
+    error(message, node) {
+        throw new RegexSyntaxError(message, node ? node.start : 0);
+    }
+
+    unsupported(feature, node) {
+        this.error(`${feature} is unsupported in this offline engine`, node);
+    }
+
+    emit(node) {
+        switch (node.type) {
+            case 'Alternation':
+                return this.emitAlternation(node);
+            case 'Sequence':
+                return this.emitSequence(node);
+            case 'Group':
+                return this.emitGroup(node);
+            case 'Quantifier':
+                return this.emitQuantifier(node);
+            case 'CharacterClass':
+                return this.emitClass(node);
+            case 'Character':
+                return this.emitCharacter(node, false);
+            case 'CharacterType':
+                return this.emitCharacterType(node, false);
+            case 'Dot':
+                return this.emitDot(node);
+            case 'Anchor':
+                return this.emitAnchor(node);
+            case 'Backreference':
+                return this.emitBackreference(node);
+            case 'UnicodeProperty':
+                this.checkCaseEmulation(node);
+                return this.emitUnicodeProperty(node);
+            case 'InlineFlags':
+                return this.emitInlineFlags(node);
+            case 'Comment':
+                return '';
+            default:
+                return this.unsupported(`"${node.raw}"`, node);
+        }
+    }
+
+    emitAlternation(node) {
+        const ignoreCase = this.state.ignoreCase;
+
+        return node.alternatives.map(alternative => {
+            // An inline modifier in an earlier alternative also applies to the later ones
+            const alternativeCase = this.state.ignoreCase;
+            const source = this.emit(alternative);
+            return this.wrapCase(source, ignoreCase, alternativeCase, alternative);
+        }).join('|');
+    }
+
+    emitSequence(node) {
+        return this.emitElements(node.elements);
+    }
+
+    // (?i) switches the modifier for the rest of the sequence
+    emitElements(elements) {
+        const sources = [];
+
+        for (let i = 0; i < elements.length; i++) {
+            const element = elements[i];
+
+            if (element.type === 'InlineFlags') {
+                const outerCase = this.state.ignoreCase;
+                sources.push(this.emitInlineFlags(element));
+
+                if (this.state.ignoreCase !== outerCase) {
+                    // A leading (?i) becomes the i flag of the whole expression
+                    if (!this.emulateCase && elements === this.ast.body.elements && this.joinSources(sources) === '') {
+                        this.initialIgnoreCase = this.state.ignoreCase;
+                        continue;
+                    }
+
+                    const rest = this.emitElements(elements.slice(i + 1));
+                    sources.push(this.wrapCase(rest, outerCase, this.state.ignoreCase, element));
+                    break;
+                }
+                continue;
+            }
+
+            sources.push(this.emit(element));
+        }
+
+        return this.joinSources(sources);
+    }
+
+    // Keeps \1 followed by a literal 0 from turning into \10
+    joinSources(sources) {
+        return sources.reduce((joined, source) => {
+            if (/\\\d+$/.test(joined) && /^\d/.test(source)) {
+                return `${joined}(?:)${source}`;
+            }
+            return joined + source;
+        }, '');
+    }
+
+    emitGroup(node) {
+        const outer = this.state;
+        this.state = { ...outer };
+
+        let source;
+        if (node.kind === 'flags') {
+            source = this.emitFlagsGroup(node);
+        } else {
+            source = this.emitGroupBody(node, this.emit(node.body));
+        }
+
+        // Inline modifiers inside the group end with it
+        this.state = outer;
+        return source;
+    }
+
+    emitGroupBody(node, body) {
+        switch (node.kind) {
+            case 'capture':
+                return `(${body})`;
+            case 'named':
+                return `(?<${node.name}>${body})`;
+            case 'nonCapture':
+            case 'branchReset':
+                return `(?:${body})`;
+            case 'lookahead':
+                return `(?=${body})`;
+            case 'negativeLookahead':
+                return `(?!${body})`;
+            case 'lookbehind':
+                return `(?<=${body})`;
+            case 'negativeLookbehind':
+                return `(?<!${body})`;
+            case 'atomic':
+                return this.emitAtomic(node, body);
+            default:
+                return this.unsupported(`Group "${node.raw}"`, node);
+        }
+    }
+
+    // Once the lookahead has matched, the backreference consumes exactly
+    // that text and the engine cannot backtrack into it
+    emitAtomic(node, body) {
+        return `(?:(?=(${body}))\\${this.hiddenGroups.get(node)})`;
+    }
+
+    emitFlagsGroup(node) {
+        const outerCase = this.state.ignoreCase;
+        this.applyFlags(node.enable, node.disable);
+
+        const body = this.emit(node.body);
+        return this.wrapCase(body, outerCase, this.state.ignoreCase, node);
+    }
+
+    applyFlags(enable, disable) {
+        for (const letter of enable) this.applyFlag(this.state, letter, true);
+        for (const letter of disable) this.applyFlag(this.state, letter, false);
+    }
+
+    // Every modifier but i is emulated; a case change needs a native modifier group
+    wrapCase(body, outerCase, innerCase, node) {
+        if (outerCase === innerCase) {
+            return node.type === 'Group' ? `(?:${body})` : body;
+        }
+        return this.emitModifierGroup(innerCase ? 'i' : '', innerCase ? '' : 'i', body, node);
+    }
+
+    // Without modifier groups the pattern is emitted again with emulateCase set:
+    // no i flag, and every character under ignoreCase matches both cases itself
+    emitModifierGroup(enable, disable, body, node) {
+        if (!SUPPORTS_MODIFIERS) {
+            this.caseChanged = true;
+            return `(?:${body})`;
+        }
+        return `(?${enable}${disable ? '-' + disable : ''}:${body})`;
+    }
+
+    isCaseEmulated() {
+        return this.emulateCase && this.state.ignoreCase;
+    }
+
+    // What the i flag does to these cannot be written out
+    checkCaseEmulation(node) {
+        if (!this.isCaseEmulated()) return;
+
+        if (node.type === 'Backreference') {
+            this.unsupported('A backreference under a case-insensitive modifier', node);
+        }
+        if (CASED_PROPERTIES.includes(node.name) || CASED_PROPERTIES.includes(node.value)) {
+            this.unsupported(`"${node.raw}" under a case-insensitive modifier`, node);
+        }
+    }
+
+    // A set of characters as class content, or as a class outside of one
+    emitCharSet(set, inClass) {
+        const content = set.ranges.map(([from, to]) => {
+            const first = this.escapeLiteral(String.fromCodePoint(from), true);
+            if (from === to) return first;
+            return `${first}${to > from + 1 ? '-' : ''}${this.escapeLiteral(String.fromCodePoint(to), true)}`;
+        }).join('');
+
+        if (inClass) {
+            return content;
+        }
+        return set.ranges.length === 1 && set.ranges[0][0] === set.ranges[0][1]
+            ? this.escapeLiteral(String.fromCodePoint(set.ranges[0][0]), false)
+            : `[${content}]`;
+    }
+
+    emitInlineFlags(node) {
+        this.applyFlags(node.enable, node.disable);
+        return '';
+    }
+
+    emitQuantifier(node) {
+        const target = this.emitQuantifierTarget(node.target);
+        const quantifier = this.formatQuantifier(node.min, node.max);
+
+        if (node.possessive) {
+            return `(?:(?=(${target}${quantifier}))\\${this.hiddenGroups.get(node)})`;
+        }
+
+        return target + quantifier + (this.isLazy(node) ? '?' : '');
+    }
+
+    isLazy(node) {
+        return node.lazy;
+    }
+
+    // Emulations may expand to several tokens, wrap them so the quantifier applies to all
+    emitQuantifierTarget(target) {
+        const source = this.emit(target);
+        const single = target.type === 'Group' || target.type === 'CharacterClass' || target.type === 'Backreference';
+        return single || this.isAtomicSource(source) ? source : `(?:${source})`;
+    }
+
+    isAtomicSource(source) {
+        return /^(?:\\u\{[0-9A-Fa-f]+\}|\\x[0-9A-Fa-f]{2}|\\[pP]\{[^}]+\}|\\.|\[(?:\\.|[^\]\\])*\]|[^\\[(])$/.test(source);
+    }
+
+    formatQuantifier(min, max) {
+        if (min === 0 && max === Infinity) return '*';
+        if (min === 1 && max === Infinity) return '+';
+        if (min === 0 && max === 1) return '?';
+        if (min === max) return `{${min}}`;
+        return `{${min},${max === Infinity ? '' : max}}`;
+    }
+
+    emitClass(node) {
+        // Negated members such as \W or [:^alpha:] cannot always be written inside a
+        // JavaScript class; they are split off and combined with lookaheads
+        const negatedMembers = [];
+        const members = [];
+
+        node.items.forEach(item => {
+            const excluded = this.getNegatedMember(item);
+            if (excluded !== null) {
+                negatedMembers.push(excluded);
+            } else {
+                members.push(this.emitClassItem(item));
+            }
+        });
+
+        const content = members.join('');
+        if (negatedMembers.length === 0) {
+            return `[${node.negated ? '^' : ''}${content}]`;
+        }
+
+        if (!node.negated) {
+            const parts = negatedMembers.map(excluded => `[^${excluded}]`);
+            if (content) parts.unshift(`[${content}]`);
+            return `(?:${parts.join('|')})`;
+        }
+
+        // [^\W...]: in every excluded set and not in the other members
+        const last = negatedMembers.pop();
+        const lookaheads = negatedMembers.map(excluded => `(?=[${excluded}])`).join('');
+        return `(?:${content ? `(?![${content}])` : ''}${lookaheads}[${last}])`;
+    }
+
+    // Returns the class content a negated member excludes, or null for normal members
+    getNegatedMember(item) {
+        if (item.type === 'PosixClass' && item.negated) {
+            return this.getPosixContent(item);
+        }
+        return null;
+    }
+
+    emitClassItem(item) {
+        switch (item.type) {
+            case 'Range': {
+                const range = `${this.emitCharacter(item.from, true)}-${this.emitCharacter(item.to, true)}`;
+                return this.isCaseEmulated()
+                    ? this.emitCharSet(addOtherCase(CharSet.range(item.from.codePoint, item.to.codePoint)), true)
+                    : range;
+            }
+            case 'Character':
+                return this.emitCharacter(item, true);
+            case 'CharacterType':
+                return this.emitCharacterType(item, true);
+            case 'UnicodeProperty':
+                this.checkCaseEmulation(item);
+                return this.emitUnicodeProperty(item);
+            case 'PosixClass':
+                return this.emitPosixClass(item, true);
+            default:
+                return this.unsupported(`"${item.raw}" inside a character class`, item);
+        }
+    }
+
+    emitCharacter(node, inClass) {
+        if (this.isCaseEmulated()) {
+            return this.emitCharSet(addOtherCase(CharSet.of(node.codePoint)), inClass);
+        }
+        return this.escapeLiteral(node.value, inClass);
+    }
+
+    escapeLiteral(value, inClass) {
+        const specials = inClass ? CLASS_SYNTAX_CHARACTERS : SYNTAX_CHARACTERS;
+        if (specials.includes(value)) {
+            return '\\' + value;
+        }
+
+        const codePoint = value.codePointAt(0);
+        switch (value) {
+            case '\n': return '\\n';
+            case '\r': return '\\r';
+            case '\t': return '\\t';
+            case '\v': return '\\v';
+            case '\f': return '\\f';
+        }
+        if (codePoint < 0x20 || codePoint === 0x7F) {
+            return '\\x' + codePoint.toString(16).padStart(2, '0');
+        }
+
+        return value;
+    }
+
+    emitCharacterType(node) {
+        return node.raw;
+    }
+
+    emitDot() {
+        return '.';
+    }
+
+    emitAnchor(node) {
+        switch (node.kind) {
+            case 'start':
+                return '^';
+            case 'end':
+                return '$';
+            case 'wordBoundary':
+                return '\\b';
+            case 'nonWordBoundary':
+                return '\\B';
+            default:
+                return this.unsupported(`Anchor "${node.raw}"`, node);
+        }
+    }
+
+    emitBackreference(node) {
+        this.checkCaseEmulation(node);
+
+        if (node.name !== undefined) {
+            if (!this.ast.groupNames.includes(node.name)) {
+                this.error(`Unknown group name "${node.name}"`, node);
+            }
+            return `\\k<${node.name}>`;
+        }
+
+        const targets = this.groupMap[node.index];
+        if (!targets) {
+            this.error(`Invalid group reference ${node.index}`, node);
+        }
+
+        // Only one group of a branch reset participates, the others match the empty string
+        const references = targets.map(target => `\\${target}`);
+        return references.length === 1 ? references[0] : `(?:${references.join('')})`;
+    }
+
+    emitUnicodeProperty(node) {
+        const body = node.value !== null ? `${node.name}=${node.value}` : node.name;
+        return `\\${node.negated ? 'P' : 'p'}{${body}}`;
+    }
+
+    // Asks the browser whether it knows a \p{...} property
+    isValidProperty(body) {
+        try {
+            new RegExp(`\\p{${body}}`, 'u');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    emitPosixClass(node) {
+        return this.getPosixContent(node);
+    }
+
+    getPosixContent(node) {
+        if (!POSIX_CLASSES[node.name]) {
+            this.error(`Unknown POSIX class name "${node.name}"`, node);
+        }
+        if (this.isCaseEmulated() && (node.name === 'lower' || node.name === 'upper')) {
+            return POSIX_CLASSES.alpha;
+        }
+        return POSIX_CLASSES[node.name];
+    }
+
+    // Minimum and maximum number of characters a node can match, used to
+    // check lookbehind restrictions
+    getWidth(node) {
+        switch (node.type) {
+            case 'Alternation': {
+                const widths = node.alternatives.map(alternative => this.getWidth(alternative));
+                return {
+                    min: Math.min(...widths.map(width => width.min)),
+                    max: Math.max(...widths.map(width => width.max))
+                };
+            }
+            case 'Sequence':
+                return node.elements.reduce((total, element) => {
+                    const width = this.getWidth(element);
+                    return { min: total.min + width.min, max: total.max + width.max };
+                }, { min: 0, max: 0 });
+            case 'Group':
+                if (node.kind.includes('look')) {
+                    return { min: 0, max: 0 };
+                }
+                return this.getWidth(node.body);
+            case 'Quantifier': {
+                const width = this.getWidth(node.target);
+                return { min: width.min * node.min, max: node.max === Infinity && width.max > 0 ? Infinity : width.max * node.max };
+            }
+            case 'Backreference':
+                return this.getBackreferenceWidth(node);
+            case 'Anchor':
+            case 'Comment':
+            case 'InlineFlags':
+                return { min: 0, max: 0 };
+            case 'CharacterType':
+                return node.kind === 'R' ? { min: 1, max: 2 } : { min: 1, max: 1 };
+            default:
+                return { min: 1, max: 1 };
+        }
+    }
+
+    getBackreferenceWidth(node) {
+        let width = { min: 0, max: Infinity };
+
+        walkAst(this.ast, group => {
+            if (group.type === 'Group' && (group.index === node.index || (node.name !== undefined && group.name === node.name))) {
+                width = this.getWidth(group.body);
+            }
+        });
+
+        return width;
+    }
+}
@@ -0,0 +1,30 @@
+// src/js/regex-worker.js
+import { RegexEngine } from './regex-engine.js';
+
+// Runs the matching off the main thread; a pattern that never returns only
+// blocks this worker, which the RegexRunner then terminates
+const engine = new RegexEngine();
+
+// RegexEngine methods a RegexRunner may call
+const METHODS = ['run', 'runTests', 'analyzeReDoS', 'matchSpan'];
+
+self.addEventListener('message', (e) => {
+    const { id, method, ...request } = e.data;
+
+    try {
+        if (!METHODS.includes(method)) {
+            throw new Error(`Unknown method ${method}`);
+        }
+
+        const result = engine[method](request);
+
+        // Every match would otherwise carry a copy of the test string
+        if (result.matches) {
+            result.matches.forEach(match => delete match.input);
+        }
+        self.postMessage({ id, result });
+    } catch (error) {
+        // Errors do not survive postMessage, RegexRunner rebuilds them
+        self.postMessage({ id, error: { name: error.name, message: error.message, offset: error.offset } });
+    }
+});
@@ -0,0 +1,367 @@
+// src/js/replacement.js
+
+// Fehler in der Ersetzung, enthält die Position im Ersetzungstext
+export class ReplacementError extends Error {
+    constructor(message, offset) {
+        super(message);
+        this.name = 'ReplacementError';
+        this.offset = offset;
+    }
+}
+
+const CONTROL_ESCAPES = {
+    'n': '\n',
+    'r': '\r',
+    't': '\t',
+    'f': '\f',
+    'v': '\v',
+    'a': '\x07',
+    'b': '\b'
+};
+
+// \U and \L switch the case until \E, \u and \l only change the next character
+const CASE_ESCAPES = 'ULEul';
+
+// A replacement string in the syntax of one flavor:
+//   javascript  $1 $<name> $& $` $' $$
+//   python      \1 \g<1> \g<name> and the usual character escapes
+//   pcre        \1 $1 ${1} ${name} \\
+//   golang      $1 ${1} $name ${name} $$
+//   xregexp     $1 ${1} $<1> ${name} $<name> $& $0 $` $' $$
+// Python and PCRE also understand the case conversion escapes \U \L \E \u \l.
+// References to groups the pattern does not have are reported as errors.
+// With controlEscapes (list templates, see RegexEngine.list) \n, \r, \t and \\
+// are understood in every flavor.
+export class Replacement {
+    constructor(source, flavor = 'javascript', groupCount = 0, groupNames = [], options = {}) {
+        this.source = source;
+        this.flavor = flavor;
+        this.groupCount = groupCount;
+        this.groupNames = groupNames;
+        this.controlEscapes = options.controlEscapes || false;
+        this.parts = this.parse();
+    }
+
+    parse() {
+        this.pos = 0;
+        this.parts = [];
+
+        while (this.pos < this.source.length) {
+            const char = this.source[this.pos];
+
+            if (char === '$' && this.flavor !== 'python' && this.parseDollar()) {
+                continue;
+            }
+            if (char === '\\' && (this.flavor === 'python' || this.flavor === 'pcre') && this.parseBackslash()) {
+                continue;
+            }
+            if (char === '\\' && this.controlEscapes && this.parseControlEscape()) {
+                continue;
+            }
+
+            this.text(char);
+            this.pos++;
+        }
+
+        return this.parts;
+    }
+
+    // Helpers
+
+    text(value) {
+        const last = this.parts[this.parts.length - 1];
+        if (last && last.type === 'text') {
+            last.value += value;
+        } else {
+            this.parts.push({ type: 'text', value });
+        }
+    }
+
+    group(ref, start) {
+        const index = typeof ref === 'number' ? ref : this.groupNames.indexOf(ref);
+
+        if (typeof ref === 'number' && ref > this.groupCount) {
+            throw new ReplacementError(`Reference to non-existent group ${ref}, the pattern has ${this.groupCount} group${this.groupCount === 1 ? '' : 's'}`, start);
+        }
+        if (typeof ref === 'string' && index === -1) {
+            throw new ReplacementError(`Reference to non-existent group "${ref}"`, start);
+        }
+
+        this.parts.push({ type: 'group', index });
+    }
+
+    lookingAt(pattern) {
+        return pattern.exec(this.source.slice(this.pos));
+    }
+
+    // Returns false if the $ is a literal
+    parseDollar() {
+        const start = this.pos;
+        let match;
+
+        switch (this.flavor) {
+            case 'javascript':
+                if ((match = this.lookingAt(/^\$([$&`'])/))) {
+                    const special = { '$': null, '&': 'match', '`': 'before', "'": 'after' }[match[1]];
+                    if (special) {
+                        this.parts.push({ type: special });
+                    } else {
+                        this.text('$');
+                    }
+                } else if ((match = this.lookingAt(/^\$<([^>]*)>/)) && this.groupNames.some(Boolean)) {
+                    // Without named groups $<name> is a literal
+                    this.group(match[1], start);
+                } else if ((match = this.lookingAt(/^\$(\d\d?)/))) {
+                    // $12 means group 12 only if it exists, otherwise group 1 followed by "2"
+                    let digits = match[1];
+                    if (digits.length === 2 && parseInt(digits, 10) > this.groupCount) {
+                        digits = digits[0];
+                    }
+                    const index = parseInt(digits, 10);
+                    if (index === 0) {
+                        return false;
+                    }
+                    this.group(index, start);
+                    this.pos += 1 + digits.length;
+                    return true;
+                } else {
+                    return false;
+                }
+                break;
+
+            case 'pcre':
+                if ((match = this.lookingAt(/^\$(?:(\d\d?)|\{(\d\d?)\}|\{([A-Za-z_]\w*)\})/))) {
+                    const number = match[1] || match[2];
+                    if (number !== undefined) {
+                        this.groupOrMatch(parseInt(number, 10), start);
+                    } else {
+                        this.group(match[3], start);
+                    }
+                } else {
+                    return false;
+                }
+                break;
+
+            case 'golang':
+                // $name takes the longest run of word characters, so $1x is the group "1x"
+                if ((match = this.lookingAt(/^\$(?:\$|\{(\w+)\}|(\w+))/))) {
+                    const name = match[1] || match[2];
+                    if (name === undefined) {
+                        this.text('$');
+                    } else if (/^\d+$/.test(name)) {
+                        this.groupOrMatch(parseInt(name, 10), start);
+                    } else if (match[2] !== undefined && /^\d/.test(name) && !this.groupNames.includes(name)) {
+                        throw new ReplacementError(`Reference to non-existent group "${name}", write \${${name.match(/^\d+/)[0]}} to follow a group number with text`, start);
+                    } else {
+                        this.group(name, start);
+                    }
+                } else {
+                    return false;
+                }
+                break;
+
+            case 'xregexp':
+                return this.parseXRegExpDollar(start);
+
+            default:
+                return false;
+        }
+
+        this.pos += match[0].length;
+        return true;
+    }
+
+    // Unlike native JavaScript, XRegExp rejects unknown $ tokens instead of keeping them literally
+    parseXRegExpDollar(start) {
+        const match = this.lookingAt(/^\$(?:\{([^}]+)\}|<([^>]+)>|(\d\d?|[\s\S]?))/);
+        const bracketed = match[1] || match[2];
+        const token = match[3];
+
+        if (bracketed !== undefined) {
+            if (/^\d+$/.test(bracketed)) {
+                this.groupOrMatch(parseInt(bracketed, 10), start);
+            } else {
+                this.group(bracketed, start);
+            }
+        } else if (/^\d+$/.test(token)) {
+            this.groupOrMatch(parseInt(token, 10), start);
+        } else if (token === '$') {
+            this.text('$');
+        } else if (token === '&') {
+            this.parts.push({ type: 'match' });
+        } else if (token === '`') {
+            this.parts.push({ type: 'before' });
+        } else if (token === "'") {
+            this.parts.push({ type: 'after' });
+        } else {
+            throw new ReplacementError(`Invalid token ${match[0]}`, start);
+        }
+
+        this.pos += match[0].length;
+        return true;
+    }
+
+    groupOrMatch(index, start) {
+        if (index === 0) {
+            this.parts.push({ type: 'match' });
+        } else {
+            this.group(index, start);
+        }
+    }
+
+    // Returns false if the backslash is a literal
+    parseBackslash() {
+        const start = this.pos;
+        const next = this.source[this.pos + 1];
+
+        if (next === undefined) {
+            if (this.flavor === 'python') {
+                throw new ReplacementError('Bad escape (end of replacement)', start);
+            }
+            return false;
+        }
+
+        if (next === '\\') {
+            this.text('\\');
+            this.pos += 2;
+            return true;
+        }
+
+        if (CASE_ESCAPES.includes(next)) {
+            this.parts.push({ type: 'case', mode: next });
+            this.pos += 2;
+            return true;
+        }
+
+        return this.flavor === 'python' ? this.parsePythonEscape(start, next) : this.parsePcreEscape(start);
+    }
+
+    parseControlEscape() {
+        const next = this.source[this.pos + 1];
+
+        if (next === '\\') {
+            this.text('\\');
+        } else if (next && 'nrt'.includes(next)) {
+            this.text(CONTROL_ESCAPES[next]);
+        } else {
+            return false;
+        }
+
+        this.pos += 2;
+        return true;
+    }
+
+    parsePcreEscape(start) {
+        const match = this.lookingAt(/^\\(\d\d?)/);
+        if (!match) {
+            return false;
+        }
+
+        this.groupOrMatch(parseInt(match[1], 10), start);
+        this.pos += match[0].length;
+        return true;
+    }
+
+    parsePythonEscape(start, next) {
+        let match;
+
+        if (next === 'g') {
+            match = this.lookingAt(/^\\g<([^>]*)>/);
+            if (!match) {
+                throw new ReplacementError('Missing group name in \\g<...>', start);
+            }
+            if (/^\d+$/.test(match[1])) {
+                this.groupOrMatch(parseInt(match[1], 10), start);
+            } else if (/^[A-Za-z_]\w*$/.test(match[1])) {
+                this.group(match[1], start);
+            } else {
+                throw new ReplacementError(`Bad character in group name "${match[1]}"`, start);
+            }
+        } else if ((match = this.lookingAt(/^\\(0[0-7]{0,2}|[0-7]{3})/))) {
+            // \0 and three-digit escapes are octal, \377 at most
+            const codePoint = parseInt(match[1], 8);
+            if (codePoint > 0o377) {
+                throw new ReplacementError(`Octal escape value \\${match[1]} outside of range 0-0o377`, start);
+            }
+            this.text(String.fromCharCode(codePoint));
+        } else if ((match = this.lookingAt(/^\\(\d\d?)/))) {
+            this.group(parseInt(match[1], 10), start);
+        } else if (CONTROL_ESCAPES[next]) {
+            match = [`\\${next}`];
+            this.text(CONTROL_ESCAPES[next]);
+        } else if (/[A-Za-z]/.test(next)) {
+            throw new ReplacementError(`Bad escape \\${next}`, start);
+        } else {
+            // Unknown escapes of punctuation keep their backslash
+            return false;
+        }
+
+        this.pos += match[0].length;
+        return true;
+    }
+
+    // Builds the replacement text for one match
+    expand(match, input) {
+        let result = '';
+        let mode = null;
+        let next = null;
+
+        const emit = (text) => {
+            if (!text) return;
+            if (mode === 'U') text = text.toUpperCase();
+            if (mode === 'L') text = text.toLowerCase();
+            if (next) {
+                const first = String.fromCodePoint(text.codePointAt(0));
+                text = (next === 'u' ? first.toUpperCase() : first.toLowerCase()) + text.slice(first.length);
+                next = null;
+            }
+            result += text;
+        };
+
+        this.parts.forEach(part => {
+            switch (part.type) {
+                case 'text':
+                    emit(part.value);
+                    break;
+                case 'match':
+                    emit(match[0]);
+                    break;
+                case 'group':
+                    // Groups that did not participate are replaced with nothing
+                    emit(match[part.index] || '');
+                    break;
+                case 'before':
+                    emit(input.slice(0, match.index));
+                    break;
+                case 'after':
+                    emit(input.slice(match.index + match[0].length));
+                    break;
+                case 'case':
+                    if (part.mode === 'u' || part.mode === 'l') {
+                        next = part.mode;
+                    } else {
+                        mode = part.mode === 'E' ? null : part.mode;
+                    }
+                    break;
+            }
+        });
+
+        return result;
+    }
+
+    // Replaces the given matches (in order) in the input. Returns the output
+    // and, per match, the replaced text and what it was replaced with.
+    apply(matches, input) {
+        let output = '';
+        let last = 0;
+
+        const replacements = matches.map(match => {
+            const after = this.expand(match, input);
+            output += input.slice(last, match.index) + after;
+            last = match.index + match[0].length;
+            return { index: match.index, before: match[0], after };
+        });
+
+        return { output: output + input.slice(last), replacements };
+    }
+}
@@ -0,0 +1,153 @@
+// src/js/workspace-file.js
+import { FLAVOR_FLAGS } from './regex-engine.js';
+
+// Files are written as *.regex.json: { format, version, exported, entries: [...] }
+export const WORKSPACE_FORMAT = 'regex404-workspace';
+export const WORKSPACE_VERSION = 1;
+
+// regex101 flavor ids, flavors we do not have map to the closest one
+const REGEX101_FLAVORS = {
+    pcre: 'pcre',
+    pcre2: 'pcre',
+    javascript: 'javascript',
+    ecmascript: 'javascript',
+    python: 'python',
+    golang: 'golang',
+    java: 'pcre',
+    java8: 'pcre',
+    dotnet: 'pcre',
+    csharp: 'pcre',
+    rust: 'golang'
+};
+const REGEX101_APPROXIMATED = ['java', 'java8', 'dotnet', 'csharp', 'rust'];
+
+// Test types of the Tests tab, see RegexEngine.runTests
+const TEST_EXPECTATIONS = ['match', 'noMatch', 'groups', 'substitution'];
+
+// regex101 unit test criteria, see Tests tab
+const REGEX101_CRITERIA = {
+    DOES_MATCH: 'match',
+    DOES_NOT_MATCH: 'noMatch'
+};
+
+// Entries hold the editor state (see RegexApp.getState) plus the library fields
+export function createWorkspaceFile(entries) {
+    return {
+        format: WORKSPACE_FORMAT,
+        version: WORKSPACE_VERSION,
+        exported: new Date().toISOString(),
+        entries: entries.map(entry => normalizeEntry(entry, []))
+    };
+}
+
+// Accepts our own format and regex101 exports (a single regex or an array of them).
+// Returns the entries and warnings about everything that could not be taken over.
+export function parseWorkspaceFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a JSON file: ${error.message}`);
+    }
+
+    const warnings = [];
+
+    if (data && data.format === WORKSPACE_FORMAT) {
+        if (!(data.version <= WORKSPACE_VERSION)) {
+            throw new Error(`Workspace file version ${data.version} is newer than this app (version ${WORKSPACE_VERSION})`);
+        }
+        if (!Array.isArray(data.entries)) {
+            throw new Error('Workspace file has no entries');
+        }
+        return { entries: data.entries.map(entry => normalizeEntry(entry, warnings)), warnings };
+    }
+
+    const items = Array.isArray(data) ? data : [data];
+    if (items.length > 0 && items.every(item => item && typeof item.regex === 'string')) {
+        return { entries: items.map(item => fromRegex101(item, warnings)), warnings };
+    }
+
+    throw new Error('Unknown file format, expected a .regex.json workspace or a regex101 export');
+}
+
+// Also sanitizes permalinks, every field is coerced since the input is untrusted
+export function normalizeEntry(entry, warnings) {
+    let flavor = String(entry.flavor || 'javascript');
+    if (!Object.keys(FLAVOR_FLAGS).includes(flavor)) {
+        warnings.push(`Unknown flavor "${flavor}", using javascript`);
+        flavor = 'javascript';
+    }
+
+    return {
+        name: String(entry.name || ''),
+        description: String(entry.description || ''),
+        tags: Array.isArray(entry.tags) ? entry.tags.map(String) : [],
+        regex: String(entry.regex || ''),
+        flags: filterFlags(String(entry.flags || ''), flavor, warnings),
+        flavor,
+        testString: String(entry.testString || ''),
+        substitution: String(entry.substitution || ''),
+        substitutionEnabled: Boolean(entry.substitutionEnabled),
+        substitutionMode: ['list', 'split'].includes(entry.substitutionMode) ? entry.substitutionMode : 'replace',
+        perLine: Boolean(entry.perLine),
+        splitLimit: entry.splitLimit === undefined || entry.splitLimit === null ? '' : String(entry.splitLimit),
+        tests: Array.isArray(entry.tests)
+            ? entry.tests.filter(test => test && typeof test === 'object').map((test, i) => ({
+                id: i + 1,
+                expect: TEST_EXPECTATIONS.includes(test.expect) ? test.expect : 'match',
+                input: String(test.input || ''),
+                expected: String(test.expected || '')
+            }))
+            : []
+    };
+}
+
+// Drops flags the flavor does not offer
+function filterFlags(flags, flavor, warnings) {
+    const known = FLAVOR_FLAGS[flavor].map(option => option.flag);
+    const unknown = [...flags].filter(flag => !known.includes(flag));
+
+    if (unknown.length) {
+        warnings.push(`Flags ${unknown.join('')} are not available for ${flavor} and were dropped`);
+    }
+
+    return [...new Set(flags)].filter(flag => known.includes(flag)).join('');
+}
+
+function fromRegex101(item, warnings) {
+    const name = item.title || item.name || '';
+    const flavor = REGEX101_FLAVORS[item.flavor] || 'pcre';
+
+    if (!REGEX101_FLAVORS[item.flavor]) {
+        warnings.push(`${name || item.regex}: unknown regex101 flavor "${item.flavor}", using pcre`);
+    } else if (REGEX101_APPROXIMATED.includes(item.flavor)) {
+        warnings.push(`${name || item.regex}: regex101 flavor "${item.flavor}" is not available, using ${flavor}`);
+    }
+
+    const tests = [];
+    (item.unitTests || []).forEach(test => {
+        const expect = test.target === 'SUBSTITUTION' && test.criteria === 'STRING_EQUALS'
+            ? 'substitution'
+            : REGEX101_CRITERIA[test.criteria];
+
+        if (!expect) {
+            warnings.push(`${name || item.regex}: unit test "${test.description || test.criteria}" (${test.criteria}) is not supported`);
+            return;
+        }
+        tests.push({ expect, input: test.testString || '', expected: expect === 'substitution' ? String(test.expected || '') : '' });
+    });
+
+    return normalizeEntry({
+        name,
+        description: item.description || '',
+        tags: item.tags || [],
+        regex: item.regex,
+        // regex101 uses the same flag letters, those the flavor lacks are dropped
+        flags: item.flags || '',
+        flavor,
+        testString: item.testString || '',
+        substitution: item.substitution || '',
+        substitutionEnabled: Boolean(item.substitution),
+        tests
+    }, warnings);
+}